@@ -1,15 +1,100 @@
 "use strict";
 
+const fs = require("fs");
 const path = require("path");
 const express = require("express");
 
-const { startReading, KEY_MAP } = require("./lib/qxs_input_raw");
-const { requestLocal } = require("./lib/http_local");
-const { requestAny } = require("./lib/http_any");
-const { loadState, saveState } = require("./lib/storage");
+const { startReading, KEY_MAP, LAYOUT_NAMES } = require("./lib/qxs_input_raw");
+const { createHttpClient, HttpError } = require("./lib/http_client");
+const { STATE_VERSION, loadState, saveState } = require("./lib/storage");
+const { createGestureDetector, chordId, GESTURES } = require("./lib/gestures");
+const { putAndWait } = require("./lib/signalk_put");
+const { createAutopilotRemote } = require("./lib/autopilot");
+const { createMenu } = require("./lib/menu");
+const { createIdleHome } = require("./lib/idle_home");
+const { listInputDevices, matchInputDevices } = require("./lib/input_devices");
+const { createDeviceSupervisor } = require("./lib/device_supervisor");
+const { makeKeyEvent, parseScript, formatScript, runScript, startScriptFile, startFifo } = require("./lib/qxs_input_script");
+const { createKipState } = require("./lib/kip_state");
+const { CAPTURE_FROM, extractValue } = require("./lib/capture");
+const { OPERATORS, normalizeCondition, evaluateCondition } = require("./lib/conditions");
+const { renderTemplate, createTemplateLookup, timeVars } = require("./lib/templates");
+const { METHODS, BODY_TYPES, AUTH_TYPES, SECRET_MASK, normalizeRestAction, buildRestRequest, statusMatches, redactAction, restoreSecrets } = require("./lib/rest_action");
+const { ACTION_TYPES, validateAction, normalizeSlot } = require("./lib/validate_action");
+const { exportDocument, readImportDocument, planImport, findOrphans } = require("./lib/bindings_io");
+const { isBindingId, storedEntry, bindingMeta, metaFor, computeLinks } = require("./lib/binding_links");
+const { DEFAULT_DEVICE, PROFILE_ID, matchProfile, allowedDisplays } = require("./lib/device_profiles");
+const { findByRef, stepFavourite } = require("./lib/favourites");
 
 const PLUGIN_ID = "signalk-qxs001-plugin";
 
+// Display/dashboard id used for per-display and global default bindings.
+const WILDCARD = "*";
+// Binding slot used by the Play function.
+const PLAY_SLOT = "play";
+
+// Fixed paths read before discovery existed; still tried for configurations
+// without eventDevices when discovery finds nothing.
+const LEGACY_EVENT_DEVICES = ["/dev/input/event6", "/dev/input/event7"];
+
+// Maximum nesting of sequence actions inside sequence actions.
+const MAX_SEQUENCE_DEPTH = 4;
+
+const KEY_FUNCTIONS = [
+  "none",
+  "displayPrev",
+  "displayNext",
+  "dashboardPrev",
+  "dashboardNext",
+  "dashboardFirst",
+  "dashboardLast",
+  "dashboardAt",
+  "dashboardByName",
+  "favouriteNext",
+  "favouritePrev",
+  "play",
+  "action",
+  "layerNext",
+  "layerPrev",
+  "layerSelect",
+  "autopilotToggle",
+  "menuOpen",
+  "homeSuspend",
+];
+
+// Built-in layer: the navigation keys plus gestureBindings.
+const NAVIGATION_LAYER = "navigation";
+
+// Settings a device profile can override; the rest are shared by all remotes.
+const KEY_MAP_SETTINGS = ["keyVolumeUp", "keyVolumeDown", "keyNext", "keyPrev", "keyPlay", "gestureBindings", "chordBindings"];
+
+// Short labels for the web UI keypad.
+const FUNCTION_LABELS = {
+  displayPrev: "Prev display",
+  displayNext: "Next display",
+  dashboardPrev: "Prev dashboard",
+  dashboardNext: "Next dashboard",
+  dashboardFirst: "First dashboard",
+  dashboardLast: "Last dashboard",
+  dashboardAt: "Dashboard",
+  dashboardByName: "Dashboard",
+  favouriteNext: "Next favourite",
+  favouritePrev: "Prev favourite",
+  play: "Play",
+  action: "Action",
+  layerNext: "Next layer",
+  layerPrev: "Prev layer",
+  layerSelect: "Layer",
+  autopilotToggle: "Autopilot",
+  menuOpen: "Menu",
+  homeSuspend: "Hold screens",
+};
+
+// Slot name of a key gesture in a dashboard binding: "KEY_ENTER", "KEY_ENTER:long".
+function slotName(key, gesture) {
+  return gesture && gesture !== "short" ? `${key}:${gesture}` : key;
+}
+
 function getIn(obj, keys) {
   let cur = obj;
   for (const k of keys) {
@@ -20,21 +105,63 @@ function getIn(obj, keys) {
 }
 
 module.exports = function (app) {
-  const persistent = loadState(app, { bindings: {} });
-  const savePersistent = () => saveState(app, persistent);
+  const { state: persistent, problems: storageProblems } = loadState(app, { bindings: {}, navigation: {} });
+  for (const problem of storageProblems) app.error(`State: ${problem}`);
+  let saveTimer = null;
+  // Links of the stored bindings to the KIP layout; dropped when either changes.
+  let linksCache = null;
+  function savePersistent() {
+    // Every change to the bindings is saved right away.
+    linksCache = null;
+    if (saveTimer) clearTimeout(saveTimer);
+    saveTimer = null;
+    try {
+      saveState(app, persistent);
+    } catch (e) {
+      app.error(`Cannot save state: ${e.message}`);
+    }
+  }
+  // Navigation changes often (every screen change); coalesce their writes.
+  function saveSoon() {
+    if (!saveTimer) saveTimer = setTimeout(savePersistent, 2000);
+  }
 
   let lastKey = null;
   let lastKeyAt = null;
   let lastKeyCode = null;
+  let lastGesture = null;
+  let lastGestureKey = null;
+  let lastGestureAt = null;
 
-  let kipDisplays = [];
-  let kipDashboardsByDisplay = {};
-  let kipScreenIndexByDisplay = {};
-  let selectedDisplayId = null;
+  const httpClient = createHttpClient();
+  const kip = createKipState({ get: kipGet, post: kipPost, onChange: () => onKipChange(), screenIndexes: persistent.navigation.screenIndexes });
+  let kipUnsubscribes = [];
   let lastPublishedScreenIndexByDisplay = {};
-
-  let readers = [];
-  let screenPollTimer = null;
+  // Sequences running now by run id, and the last one that finished.
+  const sequenceRuns = new Map();
+  let nextSequenceRun = 1;
+  let lastSequence = null;
+  // Slots where settings and runtime edits disagreed at the last start (see reconcileSettingsBindings).
+  let bindingConflicts = [];
+  // Last result per binding: lastResults[displayId][dashboardId][slot].
+  const lastResults = {};
+
+  let options = readOptions({});
+  // One context per remote: the default one for input devices without a
+  // profile (and simulated input), plus one per device profile. Each has its
+  // own key map, selected display and gesture detector.
+  let remotes = {};
+  const autopilot = createAutopilotRemote(app, { onChange: (v) => publishAutopilot(v) });
+  const menu = createMenu({ onChange: (v) => publishMenu(v) });
+  const idleHome = createIdleHome({ onExpire: (displayId, home) => returnHome(displayId, home) });
+  // Screen index per display as last seen, to notice screen changes made on the display itself.
+  let observedScreenIndexes = {};
+  let supervisor = null;
+  let deviceStates = [];
+  let simulationSources = [];
+  let recording = null;
+  let lastRecording = null;
+  const RECORDING_LIMIT = 5000;
 
   function getServerPort() {
     const port = getIn(app, ["config", "settings", "port"]);
@@ -52,7 +179,11 @@ module.exports = function (app) {
             { path: "self.qxs001.lastKey", value: lastKey },
             { path: "self.qxs001.lastKeyAt", value: lastKeyAt },
             { path: "self.qxs001.lastKeyCode", value: lastKeyCode },
-            { path: "self.qxs001.kip.selectedDisplayId", value: selectedDisplayId },
+            { path: "self.qxs001.lastGesture", value: lastGesture },
+            { path: "self.qxs001.lastGestureKey", value: lastGestureKey },
+            { path: "self.qxs001.lastGestureAt", value: lastGestureAt },
+            { path: "self.qxs001.kip.selectedDisplayId", value: defaultRemote().selectedDisplayId },
+            { path: "self.qxs001.layer", value: persistent.activeLayer || NAVIGATION_LAYER },
             ...extraValues,
           ],
         },
@@ -61,8 +192,9 @@ module.exports = function (app) {
   }
 
   function publishSelectedScreenIndex() {
+    const selectedDisplayId = defaultRemote().selectedDisplayId;
     // Choose the current screen index for the selected display.
-    const screenIndex = selectedDisplayId ? kipScreenIndexByDisplay[selectedDisplayId] ?? 0 : 0;
+    const screenIndex = selectedDisplayId ? kip.screenIndex(selectedDisplayId) : 0;
     // Read the previously published screen index for this display.
     const prev = selectedDisplayId ? lastPublishedScreenIndexByDisplay[selectedDisplayId] : null;
     // Cache the latest screen index for comparison next time.
@@ -71,235 +203,1524 @@ module.exports = function (app) {
     if (screenIndex !== prev) publishToSignalK([{ path: "self.qxs001.kip.selectedScreenIndex", value: screenIndex }]);
   }
 
+  // Keep the selected displays and the screen indexes for the next start.
+  // Selections of profiles that are not configured now are kept too.
+  function rememberNavigation() {
+    const devices = { ...persistent.navigation.devices };
+    for (const remote of Object.values(remotes)) if (remote.id !== DEFAULT_DEVICE) devices[remote.id] = remote.selectedDisplayId;
+    const next = { selectedDisplayId: defaultRemote().selectedDisplayId, devices, screenIndexes: kip.screenIndexes() };
+    if (JSON.stringify(next) === JSON.stringify(persistent.navigation)) return;
+    persistent.navigation = next;
+    saveSoon();
+  }
+
+  function remoteContext(id) {
+    if (!findRemote(id)) {
+      const profile = options.profiles.find((p) => p.id === id) || null;
+      // Restored from the last run; checked against the KIP display list once it loads.
+      const saved = id === DEFAULT_DEVICE ? persistent.navigation.selectedDisplayId : persistent.navigation.devices?.[id];
+      remotes[id] = {
+        id,
+        profile,
+        keyMap: profile ? profile.keyMap : options,
+        selectedDisplayId: saved || null,
+        gestures: null,
+        // Input device paths read for this remote.
+        paths: new Set(),
+        lastKey: null,
+        lastKeyAt: null,
+        lastGesture: null,
+        published: null,
+      };
+    }
+    return remotes[id];
+  }
+
+  function defaultRemote() {
+    return remoteContext(DEFAULT_DEVICE);
+  }
+
+  // The remote with this profile id, or null; ids come from API requests.
+  function findRemote(id) {
+    return Object.hasOwn(remotes, id) ? remotes[id] : null;
+  }
+
+  // The remote an input device belongs to: the first profile matching its path or name.
+  function remoteForDevice(devPath) {
+    const name = supervisor ? supervisor.snapshot().find((d) => d.path === devPath)?.name : null;
+    const profile = matchProfile(options.profiles, { path: devPath, name });
+    const remote = remoteContext(profile ? profile.id : DEFAULT_DEVICE);
+    remote.paths.add(devPath);
+    return remote;
+  }
+
+  function remoteView(remote) {
+    const displayId = remote.selectedDisplayId;
+    const display = displayId ? kip.displays().find((d) => d.id === displayId) : null;
+    const dash = displayId ? getCurrentDashboard(displayId) : null;
+    return {
+      id: remote.id,
+      label: remote.profile ? remote.profile.label : "Default",
+      inputs: deviceStates.filter((d) => remote.paths.has(d.path)).map((d) => ({ path: d.path, name: d.name, state: d.state })),
+      displays: remote.profile && remote.profile.displays.length ? allowedDisplays(remote.profile, kip.displays()).map((d) => d.id) : null,
+      selectedDisplayId: displayId,
+      selectedDisplayName: display ? display.name : null,
+      screenIndex: displayId ? kip.screenIndex(displayId) : null,
+      dashboardId: dash ? String(dash.id) : null,
+      dashboardName: dash ? dash.name : null,
+      lastKey: remote.lastKey,
+      lastKeyAt: remote.lastKeyAt,
+      lastGesture: remote.lastGesture,
+    };
+  }
+
+  // Publish the selection of one remote under self.qxs001.devices.<id>; only changes are sent.
+  function publishRemote(remote) {
+    const v = remoteView(remote);
+    const values = ["selectedDisplayId", "screenIndex", "dashboardId", "lastKey", "lastKeyAt", "lastGesture"].map((k) => ({ path: `self.qxs001.devices.${remote.id}.${k}`, value: v[k] }));
+    const text = JSON.stringify(values);
+    if (text === remote.published) return;
+    remote.published = text;
+    publishToSignalK(values);
+  }
+
+  // Fresh contexts for the configured profiles, each with its own gesture detector.
+  function startRemotes() {
+    remotes = {};
+    for (const id of [DEFAULT_DEVICE, ...options.profiles.map((p) => p.id)]) {
+      const remote = remoteContext(id);
+      remote.gestures = createGestureDetector({
+        longPressMs: options.longPressMs,
+        doublePressMs: options.doublePressMs,
+        chords: () => remoteChords(remote),
+        wantsGesture: (key, gesture) =>
+          isLayerSwitch(key, gesture) ||
+          isAutopilotToggle(key, gesture) ||
+          isMenuKey(key, gesture) ||
+          !!resolveKeyBinding(key, gesture, remote.keyMap) ||
+          !!resolveCurrentSlotAction(remote, key, gesture),
+        onGesture: (g) => handleGesture(g, remote).catch(() => {}),
+      });
+    }
+  }
+
+  function publishAutopilot(v) {
+    publishToSignalK([
+      { path: "self.qxs001.mode", value: v.mode },
+      { path: "self.qxs001.autopilot.targetType", value: v.targetType },
+      { path: "self.qxs001.autopilot.target", value: v.target },
+      { path: "self.qxs001.autopilot.lastResult", value: v.lastResult },
+    ]);
+  }
+
+  function publishMenu(v) {
+    publishToSignalK([
+      { path: "self.qxs001.menu.open", value: v.open },
+      { path: "self.qxs001.menu.items", value: v.items },
+      { path: "self.qxs001.menu.index", value: v.index },
+      { path: "self.qxs001.menu.device", value: v.device },
+      { path: "self.qxs001.menu.closesAt", value: v.closesAt },
+    ]);
+  }
+
   function ensureBindingContainer(displayId) {
-    if (!persistent.bindings[displayId]) persistent.bindings[displayId] = {};
+    if (!Object.hasOwn(persistent.bindings, displayId)) persistent.bindings[displayId] = {};
     return persistent.bindings[displayId];
   }
 
+  function ensureBindingEntry(displayId, dashboardId) {
+    const m = ensureBindingContainer(displayId);
+    linksCache = null;
+    if (!Object.hasOwn(m, dashboardId)) m[dashboardId] = { actions: {} };
+    if (!m[dashboardId].actions) m[dashboardId].actions = {};
+    Object.assign(m[dashboardId], metaFor(kipLayout(), displayId, dashboardId));
+    return m[dashboardId];
+  }
+
+  // Displays and dashboards as KIP currently lists them (dashboards null when not loaded).
+  function kipLayout() {
+    return kip.displays().map((d) => ({
+      id: d.id,
+      name: d.name,
+      dashboards: kip.dashboardsLoaded(d.id) ? kip.dashboards(d.id).map((x) => ({ id: String(x.id), name: x.name })) : null,
+    }));
+  }
+
+  function bindingLinks() {
+    if (!linksCache) linksCache = computeLinks(persistent.bindings, kipLayout());
+    return linksCache;
+  }
+
+  // The stored entry for a target: by id, else the entry of a re-created
+  // display or dashboard matched by name or position (see binding_links).
+  function bindingEntry(displayId, dashboardId) {
+    const exact = storedEntry(persistent.bindings, displayId, dashboardId);
+    if (exact || displayId === WILDCARD) return exact || null;
+    const link = bindingLinks().find((l) => l.displayId === displayId && l.dashboardId === dashboardId);
+    return link ? persistent.bindings[link.storedDisplayId][link.storedDashboardId] : null;
+  }
+
+  // Keep the stored names and positions in step with KIP while the ids still match.
+  function refreshBindingMeta() {
+    const layout = kipLayout();
+    let changed = false;
+    for (const [displayId, m] of Object.entries(persistent.bindings)) {
+      for (const [dashboardId, entry] of Object.entries(m || {})) {
+        const meta = metaFor(layout, displayId, dashboardId);
+        if (!meta || Object.entries(meta).every(([k, v]) => entry[k] === v)) continue;
+        Object.assign(entry, meta);
+        changed = true;
+      }
+    }
+    if (changed) savePersistent();
+  }
+
+  // Move linked entries to the ids KIP uses now. filter narrows to one display or dashboard.
+  function relinkBindings({ displayId, dashboardId } = {}, dryRun = false) {
+    const layout = kipLayout();
+    const links = bindingLinks().filter((l) => (!displayId || l.displayId === displayId) && (!dashboardId || l.dashboardId === dashboardId));
+    if (dryRun) return links;
+    // Take every entry out first: a relink may free a slot another one moves into.
+    const moved = links.map((l) => {
+      const entry = persistent.bindings[l.storedDisplayId][l.storedDashboardId];
+      delete persistent.bindings[l.storedDisplayId][l.storedDashboardId];
+      if (!Object.keys(persistent.bindings[l.storedDisplayId]).length) delete persistent.bindings[l.storedDisplayId];
+      return [l, entry];
+    });
+    for (const [l, entry] of moved) {
+      ensureBindingContainer(l.displayId)[l.dashboardId] = { ...entry, ...metaFor(layout, l.displayId, l.dashboardId) };
+    }
+    if (links.length) savePersistent();
+    return links;
+  }
+
+  function bindingFallbacks(displayId, dashboardId) {
+    // Most specific first: the dashboard, the display default, the global default.
+    const chain = [];
+    if (dashboardId != null) chain.push([displayId, String(dashboardId)]);
+    chain.push([displayId, WILDCARD], [WILDCARD, WILDCARD]);
+    return chain;
+  }
+
+  function resolveSlotAction(displayId, dashboardId, slot) {
+    for (const [d, dash] of bindingFallbacks(displayId, dashboardId)) {
+      const action = bindingEntry(d, dash)?.actions?.[slot];
+      // A "none" slot counts as unbound, so wider defaults and key functions still apply.
+      if (action && action.type !== "none") return action;
+    }
+    return null;
+  }
+
+  // Slot map with REST credentials masked, for API responses.
+  function redactSlots(actions) {
+    return Object.fromEntries(Object.entries(actions || {}).map(([slot, action]) => [slot, redactAction(action)]));
+  }
+
+  function getEffectiveActions(displayId, dashboardId) {
+    const out = {};
+    for (const [d, dash] of bindingFallbacks(displayId, dashboardId).reverse()) {
+      for (const [slot, action] of Object.entries(bindingEntry(d, dash)?.actions || {})) {
+        if (action && action.type !== "none") out[slot] = action;
+      }
+    }
+    return out;
+  }
+
   function getPlayAction(displayId, dashboardId) {
+    return resolveSlotAction(displayId, dashboardId, PLAY_SLOT) || { type: "none" };
+  }
+
+  // Normalize and validate an action sent through the bindings API. Masked
+  // credentials are taken from the stored action it replaces.
+  function actionFromApi(raw, stored) {
+    const type = raw?.type ?? raw?.actionType;
+    if (!ACTION_TYPES.includes(type)) return { errors: [{ field: "type", message: `Unknown action type "${type}"` }] };
+    const action = restoreSecrets(normalizeActionFromSettings({ action: { ...raw, type } }), stored);
+    return { action, errors: validateAction(action) };
+  }
+
+  function bindingView(displayId, dashboardId) {
+    return {
+      displayId,
+      dashboardId,
+      actions: redactSlots(storedEntry(persistent.bindings, displayId, dashboardId)?.actions),
+      effective: redactSlots(getEffectiveActions(displayId, dashboardId)),
+      origins: getEffectiveSources(displayId, dashboardId),
+      linkedFrom: bindingLinks().find((l) => l.displayId === displayId && l.dashboardId === dashboardId) || null,
+    };
+  }
+
+  function removeBinding(displayId, dashboardId, slot) {
+    if (!storedEntry(persistent.bindings, displayId, dashboardId)) return false;
     const m = persistent.bindings[displayId];
-    if (!m) return { type: "none" };
-    return m[String(dashboardId)] || { type: "none" };
+    linksCache = null;
+    if (slot) {
+      if (!m[dashboardId].actions?.[slot]) return false;
+      delete m[dashboardId].actions[slot];
+      if (m[dashboardId].origins) delete m[dashboardId].origins[slot];
+      if (Object.keys(m[dashboardId].actions).length) return true;
+    }
+    delete m[dashboardId];
+    if (!Object.keys(m).length) delete persistent.bindings[displayId];
+    return true;
+  }
+
+  // Normalize and validate imported bindings ({ displayId: { dashboardId: { actions } } }).
+  // Masked credentials are taken from the stored slot they replace; a mask
+  // with nothing behind it would be sent as is, so it is an error.
+  function bindingsFromImport(src) {
+    const out = {};
+    const errors = [];
+    for (const [displayId, dashboards] of Object.entries(src)) {
+      for (const [dashboardId, entry] of Object.entries(dashboards || {})) {
+        const where = `${displayId}/${dashboardId}`;
+        if (!isBindingId(displayId) || !isBindingId(dashboardId)) {
+          errors.push({ field: where, message: "Invalid display or dashboard id" });
+          continue;
+        }
+        if (displayId === WILDCARD && dashboardId !== WILDCARD) {
+          errors.push({ field: where, message: "A * display needs a * dashboard" });
+          continue;
+        }
+        // Older exports hold a single Play action per dashboard.
+        const actions = entry && typeof entry.type === "string" ? { [PLAY_SLOT]: entry } : entry?.actions || {};
+        for (const [rawSlot, raw] of Object.entries(actions)) {
+          const slot = normalizeSlot(rawSlot);
+          if (!slot) {
+            errors.push({ field: `${where}/${rawSlot}`, message: "Invalid slot" });
+            continue;
+          }
+          const r = actionFromApi(raw, storedEntry(persistent.bindings, displayId, dashboardId)?.actions?.[slot]);
+          errors.push(...r.errors.map((e) => ({ ...e, field: `${where}/${slot}.${e.field}` })));
+          if (!r.action) continue;
+          if (JSON.stringify(r.action).includes(JSON.stringify(SECRET_MASK))) {
+            errors.push({ field: `${where}/${slot}`, message: "Credentials are masked; export them with ?secrets=1 or fill them in" });
+          }
+          if (!out[displayId]) out[displayId] = {};
+          if (!out[displayId][dashboardId]) out[displayId][dashboardId] = { ...bindingMeta(entry), actions: {}, origins: {} };
+          out[displayId][dashboardId].actions[slot] = r.action;
+          out[displayId][dashboardId].origins[slot] = "import";
+        }
+      }
+    }
+    return { bindings: out, errors };
+  }
+
+  // Bindings whose display or dashboard is gone, checked against a fresh read of KIP.
+  // Returns null while KIP is unreachable: everything would look orphaned.
+  async function orphanReport() {
+    await kip.refresh({ force: true }).catch(() => {});
+    if (!kip.view().reachable) return null;
+    const displays = kipLayout().map((d) => ({ id: d.id, dashboardIds: d.dashboards && d.dashboards.map((x) => x.id) }));
+    const report = findOrphans(persistent.bindings, displays);
+    // Entries that stand in for a re-created display or dashboard are not dead.
+    const links = bindingLinks();
+    report.orphans = report.orphans.map((o) => {
+      const l = links.find((x) => x.storedDisplayId === o.displayId && x.storedDashboardId === o.dashboardId);
+      return l ? { ...o, linkedTo: { displayId: l.displayId, dashboardId: l.dashboardId, match: l.match } } : o;
+    });
+    return report;
   }
 
-  function mergeBindings(src) {
-    src = src || {};
-    for (const displayId of Object.keys(src)) {
-      const dst = ensureBindingContainer(displayId);
-      const incoming = src[displayId] || {};
-      for (const dashId of Object.keys(incoming)) dst[dashId] = incoming[dashId];
+  // Store one slot with where it came from: "settings" (playBindings), "api"
+  // (bindings API and web UI) or "import". Slots stored before origins were
+  // tracked are "legacy".
+  function setSlotAction(displayId, dashboardId, slot, action, origin) {
+    const entry = ensureBindingEntry(displayId, dashboardId);
+    entry.actions[slot] = action;
+    entry.origins = { ...entry.origins, [slot]: origin };
+  }
+
+  function slotOrigin(entry, slot) {
+    return entry?.origins?.[slot] || "legacy";
+  }
+
+  // Where each effective slot action of a dashboard is stored ("dashboard",
+  // "display" default or "global" default) and where it came from.
+  function getEffectiveSources(displayId, dashboardId) {
+    const out = {};
+    for (const [d, dash] of bindingFallbacks(displayId, dashboardId).reverse()) {
+      const entry = bindingEntry(d, dash);
+      const level = d === WILDCARD ? "global" : dash === WILDCARD ? "display" : "dashboard";
+      for (const slot of Object.keys(entry?.actions || {})) out[slot] = { level, origin: slotOrigin(entry, slot) };
+    }
+    return out;
+  }
+
+  // Bring the settings playBindings into the stored bindings. The settings
+  // applied at the last start are kept in persistent.settingsBindings to tell
+  // a settings change from a runtime change. Per slot:
+  // - new or changed in settings: the settings action is stored (replacing a runtime edit);
+  // - unchanged in settings: edits and deletes made through the API or an import are kept;
+  // - gone from settings: the slot is removed if settings own it, runtime slots stay.
+  // Cases where the two disagree are listed in bindingConflicts.
+  function reconcileSettingsBindings(playBindings) {
+    const wanted = {};
+    for (const item of Array.isArray(playBindings) ? playBindings : []) {
+      const n = normalizeBindingFromSettings(item);
+      if (!n) continue;
+      if (!wanted[n.screenId]) wanted[n.screenId] = {};
+      if (!wanted[n.screenId][n.dashboardId]) wanted[n.screenId][n.dashboardId] = {};
+      wanted[n.screenId][n.dashboardId][n.slot] = n.action;
+    }
+    const applied = persistent.settingsBindings || {};
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+    const targets = new Map();
+    for (const map of [wanted, applied]) {
+      for (const [d, m] of Object.entries(map)) {
+        for (const [dash, slots] of Object.entries(m || {})) {
+          for (const slot of Object.keys(slots || {})) targets.set(JSON.stringify([d, dash, slot]), [d, dash, slot]);
+        }
+      }
+    }
+
+    const conflicts = [];
+    for (const [d, dash, slot] of targets.values()) {
+      const next = wanted[d]?.[dash]?.[slot];
+      const prev = applied[d]?.[dash]?.[slot];
+      const entry = storedEntry(persistent.bindings, d, dash);
+      const cur = entry?.actions?.[slot];
+      const origin = cur ? slotOrigin(entry, slot) : null;
+      const conflict = (resolution, message) => conflicts.push({ displayId: d, dashboardId: dash, slot, origin, resolution, message });
+      if (next === undefined) {
+        if (cur && origin === "settings") removeBinding(d, dash, slot);
+      } else if (prev !== undefined && same(next, prev)) {
+        if (!cur) conflict("deleted", "Deleted at runtime; the settings entry is ignored");
+        else if (origin === "settings") setSlotAction(d, dash, slot, next, "settings");
+        else if (!same(cur, next)) conflict("runtime", `Changed at runtime (${origin}); the settings entry is ignored`);
+      } else {
+        if (cur && origin !== "settings" && !same(cur, next)) conflict("settings", `The new settings entry replaced the ${origin} binding`);
+        setSlotAction(d, dash, slot, next, "settings");
+      }
+    }
+    persistent.settingsBindings = wanted;
+    bindingConflicts = conflicts;
+    for (const c of conflicts) app.debug(`Binding ${c.displayId}/${c.dashboardId}/${c.slot}: ${c.message}`);
+    savePersistent();
+  }
+
+  function localUrl(p) {
+    return `http://127.0.0.1:${getServerPort()}${p.startsWith("/") ? p : `/${p}`}`;
+  }
+
+  async function kipGet(p, { timeoutMs } = {}) {
+    const url = localUrl(p);
+    const res = await httpClient.request({ url, method: "GET", timeoutMs });
+    if (res.status < 200 || res.status >= 300) throw new HttpError(`KIP GET ${p} -> HTTP ${res.status}`, { code: "HTTP_STATUS", method: "GET", url, status: res.status });
+    return res.bodyJson;
+  }
+
+  async function kipPost(p, json, { timeoutMs } = {}) {
+    const url = localUrl(p);
+    const res = await httpClient.request({ url, method: "POST", json, timeoutMs });
+    if (res.status < 200 || res.status >= 300) {
+      throw new HttpError(`KIP POST ${p} -> HTTP ${res.status} (${res.bodyText})`, { code: "HTTP_STATUS", method: "POST", url, status: res.status });
+    }
+    return res.bodyJson;
+  }
+
+  function onKipChange() {
+    linksCache = null;
+    const displays = kip.displays();
+    for (const remote of Object.values(remotes)) {
+      const allowed = allowedDisplays(remote.profile, displays);
+      // Default the selected display to the first display the remote may select,
+      // and move it there when the selected one is gone from the latest list.
+      if (allowed.length && !allowed.some((d) => d.id === remote.selectedDisplayId)) {
+        const had = remote.selectedDisplayId;
+        remote.selectedDisplayId = allowed[0].id;
+        if (had && remote.id === DEFAULT_DEVICE) publishToSignalK();
+      }
+      publishRemote(remote);
+    }
+    // Publish screen index updates when they change.
+    publishSelectedScreenIndex();
+    // A screen change, from a remote or on the display itself, restarts its idle countdown.
+    for (const d of displays) {
+      const index = kip.screenIndex(d.id);
+      if (d.id in observedScreenIndexes && observedScreenIndexes[d.id] !== index) idleHome.activity(d.id);
+      observedScreenIndexes[d.id] = index;
+    }
+    idleHome.configure(resolveHomes());
+    // Track renamed and moved dashboards on the stored bindings.
+    refreshBindingMeta();
+    rememberNavigation();
+  }
+
+  // Home dashboards of the displays KIP lists now, by display id.
+  function resolveHomes() {
+    const out = {};
+    for (const h of options.homeDashboards) {
+      const display = findByRef(kip.displays(), h.display);
+      const dash = display && findByRef(kip.dashboards(display.id), h.dashboard);
+      if (dash && !out[display.id]) out[display.id] = { dashboardId: String(dash.id), dashboardName: dash.name || null, idleMs: h.idleSec * 1000 };
+    }
+    return out;
+  }
+
+  // Idle countdown expired: show the home dashboard unless it is already showing.
+  async function returnHome(displayId, home) {
+    const dash = getCurrentDashboard(displayId);
+    if (dash && String(dash.id) === home.dashboardId) return;
+    // Our own screen change is not activity.
+    observedScreenIndexes[displayId] = kip.dashboards(displayId).findIndex((d) => String(d.id) === home.dashboardId);
+    try {
+      await kipSetActiveScreen(displayId, home.dashboardId);
+      app.setPluginStatus(`Idle: display ${displayId} back to ${home.dashboardName || home.dashboardId}`);
+    } catch (e) {
+      app.debug(`Idle return of ${displayId} failed: ${e.message}`);
+    }
+  }
+
+  function setHomeSuspended(on) {
+    persistent.homeSuspended = !!on;
+    savePersistent();
+    idleHome.setSuspended(on);
+    publishToSignalK([{ path: "self.qxs001.home.suspended", value: !!on }]);
+    app.setPluginStatus(on ? "Idle return to home dashboards suspended" : "Idle return to home dashboards resumed");
+  }
+
+  function subscribeKipDeltas() {
+    const manager = app.subscriptionmanager;
+    if (!manager || typeof manager.subscribe !== "function") return;
+    const command = { context: "vessels.self", subscribe: [{ path: "plugins.kip.*", policy: "instant" }] };
+    manager.subscribe(
+      command,
+      kipUnsubscribes,
+      (err) => app.debug(`KIP subscription error: ${err}`),
+      (delta) => {
+        for (const update of delta?.updates || []) {
+          for (const v of update.values || []) kip.handleDelta(v.path, v.value);
+        }
+      }
+    );
+  }
+
+  async function kipSetActiveScreen(displayId, dashboardId) {
+    // The cache records the new index once KIP accepts the change.
+    await kip.setActiveScreen(displayId, dashboardId);
+  }
+
+  // Template variables for actions: the display selected on the remote that
+  // triggered the action and its shown dashboard, the remote, key and gesture,
+  // the time, and any Signal K path of the own vessel.
+  function templateLookup(trigger = {}) {
+    const displayId = trigger.displayId !== undefined ? trigger.displayId : defaultRemote().selectedDisplayId;
+    const display = kip.displays().find((d) => d.id === displayId);
+    const dash = displayId ? getCurrentDashboard(displayId) : null;
+    const vars = {
+      "display.id": displayId,
+      "display.name": display ? display.name : displayId,
+      "dashboard.id": dash ? dash.id : null,
+      "dashboard.name": dash ? dash.name : null,
+      "dashboard.index": displayId ? kip.screenIndex(displayId) : null,
+      key: trigger.key ?? null,
+      gesture: trigger.gesture ?? null,
+      device: trigger.device ?? null,
+      layer: getActiveLayer()?.name || NAVIGATION_LAYER,
+      ...timeVars(),
+    };
+    return createTemplateLookup(vars, typeof app.getSelfPath === "function" ? (p) => app.getSelfPath(p) : null);
+  }
+
+  async function executePlayAction(action, depth = 0, trigger = {}) {
+    if (!action || action.type === "none") return { type: "none", ok: true };
+    // Sequence steps and if/else branches are rendered when they run, so they see the effect of earlier steps.
+    if (action.type === "if") return executeConditional(action, depth, trigger);
+    if (action.type !== "sequence") {
+      const lookup = templateLookup(trigger);
+      const raw = action;
+      action = renderTemplate(action, lookup);
+      // Values inside the URL are percent-encoded; params are encoded by the HTTP client.
+      if (action.type === "rest") action = { ...action, url: renderTemplate(raw.url, lookup, encodeURIComponent), path: renderTemplate(raw.path, lookup, encodeURIComponent) };
+    }
+
+    if (action.type === "rest") {
+      const url = String(action.url || "").trim();
+      // Without a URL the path is requested from the local Signal K server.
+      const target = url || localUrl(String(action.path || "/").trim());
+      const label = url || String(action.path || "/").trim();
+      const req = buildRestRequest(action);
+
+      let res;
+      try {
+        res = await httpClient.request({ ...req, url: target });
+      } catch (e) {
+        if (!(e instanceof HttpError)) throw e;
+        app.setPluginStatus(`Play REST ${req.method} ${label} failed: ${e.code} (${e.message})`);
+        return { type: "rest", ok: false, error: e.message, code: e.code, phase: e.phase };
+      }
+      const ok = statusMatches(res.status, action.expectStatus);
+      const expected = action.expectStatus && action.expectStatus.length ? action.expectStatus.join(",") : "2xx";
+      const result = { type: "rest", ok, status: res.status, error: ok ? undefined : `HTTP ${res.status}, expected ${expected}` };
+      if (action.capture) Object.assign(result, captureValue(action.capture, res));
+      const shown = "value" in result ? ` = ${JSON.stringify(result.value)}` : result.captureError ? ` (capture: ${result.captureError})` : "";
+      app.setPluginStatus(`Play REST ${req.method} ${label} -> ${res.status}${ok ? "" : ` (expected ${expected})`}${shown}`);
+      return result;
+    }
+
+    if (action.type === "signalk") {
+      const key = String(action.key || "").trim();
+      if (!key) return { type: "signalk", ok: false, error: "Missing key" };
+      publishToSignalK([{ path: key, value: action.value }]);
+      app.setPluginStatus(`Play SK write: ${key}`);
+      return { type: "signalk", ok: true, path: key };
+    }
+
+    if (action.type === "signalk-put") {
+      const skPath = String(action.path || action.key || "").trim();
+      if (!skPath) return { type: "signalk-put", ok: false, error: "Missing path" };
+      const timeoutMs = Number(action.timeoutMs) > 0 ? Number(action.timeoutMs) : 5000;
+      const reply = await putAndWait(app, skPath, action.value, { timeoutMs });
+      const code = reply.statusCode != null ? ` ${reply.statusCode}` : "";
+      app.setPluginStatus(`Play SK PUT ${skPath} -> ${reply.state}${code}${reply.message ? ` (${reply.message})` : ""}`);
+      return { type: "signalk-put", ok: reply.ok, path: skPath, ...reply, error: reply.ok ? undefined : reply.message || reply.state };
+    }
+
+    if (action.type === "delay") {
+      const ms = Math.max(0, Number(action.ms) || 0);
+      await new Promise((resolve) => setTimeout(resolve, ms));
+      return { type: "delay", ok: true, ms };
+    }
+
+    if (action.type === "kip") {
+      const displayId = String(action.displayId || "").trim() || trigger.displayId || defaultRemote().selectedDisplayId;
+      const dashboardId = String(action.dashboardId || "").trim();
+      if (!displayId || !dashboardId) return { type: "kip", ok: false, error: "Missing displayId/dashboardId" };
+      await kipSetActiveScreen(displayId, dashboardId);
+      app.setPluginStatus(`Play KIP activeScreen ${displayId} -> ${dashboardId}`);
+      return { type: "kip", ok: true, displayId, dashboardId };
+    }
+
+    if (action.type === "sequence") return executeSequence(action, depth, trigger);
+
+    return { type: String(action.type), ok: false, error: `Unknown action type ${action.type}` };
+  }
+
+  async function executeConditional(action, depth, trigger) {
+    if (depth >= MAX_SEQUENCE_DEPTH) return { type: "if", ok: false, error: "Action nesting too deep" };
+
+    const lookup = templateLookup(trigger);
+    const conditions = (action.conditions || []).map((c) => evaluateCondition(renderTemplate(c, lookup), lookup(c.path)));
+    const met = action.match === "any" ? conditions.some((c) => c.ok) : conditions.every((c) => c.ok);
+    const branch = met ? action.then : action.else;
+    const why = met ? conditions.filter((c) => c.ok) : conditions.filter((c) => !c.ok);
+    const reason = why.map((c) => c.text).join("; ");
+
+    if (!branch || branch.type === "none") {
+      // Nothing to run on this side: a blocked action, not a failure.
+      app.setPluginStatus(met ? `Condition met (${reason}), no action` : `Action blocked by condition: ${reason}`);
+      return { type: "if", ok: true, blocked: !met, branch: null, conditions };
+    }
+    if (!met) app.setPluginStatus(`Condition not met (${reason}), running else branch`);
+    const result = await executePlayAction(branch, depth + 1, trigger);
+    return {
+      type: "if",
+      ok: result.ok !== false,
+      branch: met ? "then" : "else",
+      conditions,
+      result,
+      status: result.status,
+      error: result.error,
+      ...("value" in result ? { value: result.value } : {}),
+    };
+  }
+
+  async function executeSequence(action, depth, trigger) {
+    // Guard against sequences that (indirectly) contain themselves.
+    if (depth >= MAX_SEQUENCE_DEPTH) return { type: "sequence", ok: false, error: "Sequence nesting too deep" };
+
+    const steps = Array.isArray(action.steps) ? action.steps : [];
+    const total = steps.length;
+    const results = [];
+    // Runs may overlap (two remotes, or a sequence inside a sequence), so each has its own status.
+    const run = {
+      id: nextSequenceRun++,
+      device: trigger.device ?? null,
+      key: trigger.key ?? null,
+      displayId: trigger.displayId ?? null,
+      depth,
+      step: 0,
+      total,
+      failedStep: null,
+      error: null,
+      startedAt: new Date().toISOString(),
+    };
+    sequenceRuns.set(run.id, run);
+
+    try {
+      for (let i = 0; i < total; i++) {
+        const step = steps[i] || {};
+        run.step = i + 1;
+        app.setPluginStatus(`Sequence step ${i + 1}/${total}: ${step.type || "none"}`);
+
+        let result;
+        try {
+          result = await executePlayAction(step, depth + 1, trigger);
+        } catch (e) {
+          result = { type: String(step.type || "none"), ok: false, error: String(e.message || e) };
+        }
+        results.push(result);
+        if (result.ok !== false) continue;
+
+        const error = result.error || (result.status ? `HTTP ${result.status}` : "failed");
+        if (run.failedStep == null) {
+          run.failedStep = i + 1;
+          run.error = error;
+        }
+        if (step.continueOnError) continue;
+
+        app.setPluginStatus(`Sequence failed at step ${i + 1}/${total} (${step.type || "none"}): ${error}`);
+        return { type: "sequence", ok: false, failedStep: i + 1, error, steps: results };
+      }
+
+      const failed = results.filter((r) => r.ok === false).length;
+      app.setPluginStatus(`Sequence done (${total} steps${failed ? `, ${failed} failed` : ""})`);
+      return { type: "sequence", ok: true, failedStep: run.failedStep, steps: results, ...lastCapturedValue(results) };
+    } finally {
+      sequenceRuns.delete(run.id);
+      lastSequence = { ...run, finishedAt: new Date().toISOString() };
+    }
+  }
+
+  // A sequence reports the value captured by its last capturing step.
+  function lastCapturedValue(results) {
+    const withValue = results.filter((r) => r && "value" in r);
+    return withValue.length ? { value: withValue[withValue.length - 1].value } : {};
+  }
+
+  // Extract the configured value from a REST response and publish it.
+  function captureValue(capture, res) {
+    const extracted = extractValue(capture, res);
+    if (!extracted.ok) return { captureError: extracted.error };
+    if (capture.path) publishToSignalK([{ path: capture.path, value: extracted.value }]);
+    return { value: extracted.value };
+  }
+
+  // Run a per-dashboard binding and remember its outcome for the web UI.
+  async function runSlotAction(displayId, dashboardId, slot, action, trigger) {
+    let result;
+    try {
+      result = await executePlayAction(action, 0, trigger);
+    } catch (e) {
+      result = { type: String(action?.type || "none"), ok: false, error: String(e.message || e) };
+      throw e;
+    } finally {
+      recordResult(displayId, dashboardId, slot, result);
+    }
+    return result;
+  }
+
+  function recordResult(displayId, dashboardId, slot, result) {
+    if (!result || result.type === "none") return;
+    const entry = {
+      at: new Date().toISOString(),
+      type: result.type,
+      ok: result.ok !== false,
+      status: result.status ?? null,
+      error: result.error || result.captureError || null,
+      ...(result.blocked ? { blocked: true } : {}),
+      ...("value" in result ? { value: result.value } : {}),
+    };
+    const byDash = (lastResults[displayId] = lastResults[displayId] || {});
+    (byDash[dashboardId] = byDash[dashboardId] || {})[slot] = entry;
+    publishToSignalK([{ path: "self.qxs001.lastResult", value: { displayId, dashboardId, slot, ...entry } }]);
+  }
+
+  function normalizeSequenceStep(step) {
+    const type = String(step?.type || step?.actionType || "none");
+    const continueOnError = !!step?.continueOnError;
+    if (type === "delay") return { type, ms: Math.max(0, Number(step.ms) || 0), continueOnError };
+    if (type === "kip") {
+      return { type, displayId: String(step.displayId || "").trim(), dashboardId: String(step.dashboardId || "").trim(), continueOnError };
+    }
+    return { ...normalizeActionFromSettings({ action: { ...step, type } }), continueOnError };
+  }
+
+  function normalizeActionFromSettings(item) {
+    const actionType = String(item?.actionType || item?.action?.type || "none");
+
+    if (actionType === "rest") return normalizeRestAction(item);
+
+    if (actionType === "signalk") {
+      const key = String(item.key || item.path || item?.action?.key || item?.action?.path || "").trim();
+      const value = item.value !== undefined ? item.value : item?.action?.value;
+      return { type: "signalk", key, value };
+    }
+
+    if (actionType === "signalk-put") {
+      const skPath = String(item.path || item?.action?.path || item.key || item?.action?.key || "").trim();
+      const value = item.value !== undefined ? item.value : item?.action?.value;
+      const timeoutMs = Number(item.timeoutMs ?? item?.action?.timeoutMs) > 0 ? Number(item.timeoutMs ?? item.action.timeoutMs) : 5000;
+      return { type: "signalk-put", path: skPath, value, timeoutMs };
+    }
+
+    if (actionType === "sequence") {
+      const steps = Array.isArray(item.steps) ? item.steps : Array.isArray(item?.action?.steps) ? item.action.steps : [];
+      return { type: "sequence", steps: steps.map(normalizeSequenceStep) };
+    }
+
+    if (actionType === "if") {
+      const src = { ...(item.action || {}), ...item };
+      const branch = (a) => (a && typeof a === "object" ? normalizeActionFromSettings({ action: { ...a, type: a.type || a.actionType } }) : { type: "none" });
+      return {
+        type: "if",
+        conditions: (Array.isArray(src.conditions) ? src.conditions : []).map(normalizeCondition).filter(Boolean),
+        match: src.match === "any" ? "any" : "all",
+        then: branch(src.then),
+        else: branch(src.else),
+      };
+    }
+
+    if (actionType === "delay" || actionType === "kip") return normalizeSequenceStep({ ...item, ...(item.action || {}), type: actionType });
+
+    return { type: "none" };
+  }
+
+  function normalizeBindingFromSettings(item) {
+    const screenId = String(item?.screenId || item?.displayId || "").trim();
+    const dashboardId = String(item?.dashboardId || "").trim();
+    if (!isBindingId(screenId) || !isBindingId(dashboardId)) return null;
+    // A global default cannot be narrowed to one dashboard of every display.
+    if (screenId === WILDCARD && dashboardId !== WILDCARD) return null;
+    const slot = normalizeSlot(item?.slot || PLAY_SLOT);
+    if (!slot) return null;
+    return { screenId, dashboardId, slot, action: normalizeActionFromSettings(item) };
+  }
+
+  // Copy the function parameters (action, target layer, label) onto a binding.
+  function withFunctionParams(binding, item) {
+    if (binding.function === "action") {
+      // "key"/"keys" name the trigger here, so the Signal K path comes from "path".
+      const { key, keys, ...rest } = item || {};
+      binding.action = normalizeActionFromSettings(rest);
+    }
+    if (binding.function === "layerSelect") binding.layer = String(item?.layer || "").trim();
+    // 1 is the first dashboard, -1 the last.
+    if (binding.function === "dashboardAt") binding.index = Math.trunc(Number(item?.index)) || 1;
+    if (binding.function === "dashboardByName") {
+      binding.dashboard = String(item?.dashboard || "").trim();
+      binding.display = String(item?.display || "").trim();
+    }
+    if (item?.label) binding.label = String(item.label);
+    return binding;
+  }
+
+  function normalizeGestureBinding(item) {
+    const key = String(item?.key || "").trim();
+    const gesture = String(item?.gesture || "short");
+    const fn = String(item?.function || "none");
+    if (!key || !GESTURES.includes(gesture) || !KEY_FUNCTIONS.includes(fn)) return null;
+    return withFunctionParams({ key, gesture, function: fn }, item);
+  }
+
+  function normalizeLayer(item) {
+    const name = String(item?.name || "").trim();
+    if (!name || name === NAVIGATION_LAYER) return null;
+    const bindings = (Array.isArray(item?.bindings) ? item.bindings : []).map(normalizeGestureBinding).filter(Boolean);
+    return { name, bindings };
+  }
+
+  function normalizeChordBinding(item) {
+    const list = Array.isArray(item?.keys) ? item.keys : String(item?.keys || "").split("+");
+    const keys = list.map((k) => String(k).trim()).filter(Boolean);
+    const fn = String(item?.function || "none");
+    if (new Set(keys).size < 2 || !KEY_FUNCTIONS.includes(fn)) return null;
+    return withFunctionParams({ key: chordId(keys), keys: [...new Set(keys)], gesture: "chord", function: fn }, item);
+  }
+
+  // Key functions plus gesture and chord bindings, from the global settings or a device profile.
+  function readKeyMap(settings) {
+    const keyVolumeUp = String(settings?.keyVolumeUp || "KEY_VOLUMEUP");
+    const keyVolumeDown = String(settings?.keyVolumeDown || "KEY_VOLUMEDOWN");
+    const keyNext = String(settings?.keyNext || "KEY_NEXTSONG");
+    const keyPrev = String(settings?.keyPrev || "KEY_PREVIOUSSONG");
+    const keyPlay = String(settings?.keyPlay || "KEY_PLAYPAUSE");
+
+    return {
+      // Short presses of the navigation keys keep their historical meaning.
+      keyFunctions: {
+        [keyVolumeUp]: "displayPrev",
+        [keyVolumeDown]: "displayNext",
+        [keyNext]: "dashboardNext",
+        [keyPrev]: "dashboardPrev",
+        [keyPlay]: "play",
+      },
+      gestureBindings: (Array.isArray(settings?.gestureBindings) ? settings.gestureBindings : []).map(normalizeGestureBinding).filter(Boolean),
+      chordBindings: (Array.isArray(settings?.chordBindings) ? settings.chordBindings : []).map(normalizeChordBinding).filter(Boolean),
+    };
+  }
+
+  // A remote with its own key map and display selection for the input devices
+  // it matches. Key settings it leaves empty come from the global settings.
+  function normalizeProfile(item, settings) {
+    const id = String(item?.id || "").trim();
+    if (!PROFILE_ID.test(id) || id === DEFAULT_DEVICE) return null;
+    const devicePath = String(item.devicePath || "").trim();
+    const deviceName = String(item.deviceName || "").trim();
+    if (!devicePath && !deviceName) return null;
+    const isSet = (v) => v !== undefined && v !== null && v !== "" && !(Array.isArray(v) && v.length === 0);
+    const own = Object.fromEntries(KEY_MAP_SETTINGS.filter((k) => isSet(item[k])).map((k) => [k, item[k]]));
+    return {
+      id,
+      label: String(item.label || id),
+      devicePath,
+      deviceName,
+      displays: (Array.isArray(item.displays) ? item.displays : []).map((d) => String(d).trim()).filter(Boolean),
+      keyMap: readKeyMap({ ...settings, ...own }),
+    };
+  }
+
+  function normalizeProfiles(settings) {
+    const profiles = [];
+    for (const item of Array.isArray(settings?.deviceProfiles) ? settings.deviceProfiles : []) {
+      const profile = normalizeProfile(item, settings);
+      if (profile && !profiles.some((p) => p.id === profile.id)) profiles.push(profile);
+    }
+    return profiles;
+  }
+
+  function readOptions(settings) {
+    return {
+      eventDevices: Array.isArray(settings?.eventDevices) ? settings.eventDevices.map((p) => String(p).trim()).filter(Boolean) : [],
+      legacyEventDevices: !Array.isArray(settings?.eventDevices),
+      discovery: {
+        enabled: settings?.discovery?.enabled !== false,
+        namePattern: String(settings?.discovery?.namePattern ?? "QXS"),
+        vendorId: String(settings?.discovery?.vendorId || ""),
+        productId: String(settings?.discovery?.productId || ""),
+        byIdPattern: String(settings?.discovery?.byIdPattern || ""),
+      },
+      publishOn: settings?.publishOn || "down",
+      simulation: {
+        scriptFile: String(settings?.simulation?.scriptFile || "").trim(),
+        loop: !!settings?.simulation?.loop,
+        fifoPath: String(settings?.simulation?.fifoPath || "").trim(),
+      },
+      eventLayout: LAYOUT_NAMES.includes(settings?.eventLayout) ? settings.eventLayout : "auto",
+      http: readHttpOptions(settings?.http),
+      longPressMs: Number(settings?.longPressMs) > 0 ? Number(settings.longPressMs) : 600,
+      doublePressMs: Number(settings?.doublePressMs) > 0 ? Number(settings.doublePressMs) : 300,
+      ...readKeyMap(settings),
+      profiles: normalizeProfiles(settings),
+      favourites: normalizeFavourites(settings?.favourites),
+      homeDashboards: normalizeHomeDashboards(settings?.homeDashboards),
+      menu: {
+        key: String(settings?.menu?.key || "").trim(),
+        gesture: GESTURES.includes(settings?.menu?.gesture) ? settings.menu.gesture : "long",
+        timeoutSec: Number(settings?.menu?.timeoutSec) > 0 ? Number(settings.menu.timeoutSec) : 15,
+        includeFavourites: settings?.menu?.includeFavourites !== false,
+        items: normalizeMenuItems(settings?.menu?.items),
+      },
+      layers: normalizeLayers(settings?.layers),
+      layerSwitch: {
+        key: String(settings?.layerSwitch?.key || "").trim(),
+        gesture: GESTURES.includes(settings?.layerSwitch?.gesture) ? settings.layerSwitch.gesture : "long",
+      },
+      autopilot: {
+        enabled: settings?.autopilot?.enabled === true,
+        key: String(settings?.autopilot?.key || "KEY_ENTER"),
+        gesture: GESTURES.includes(settings?.autopilot?.gesture) ? settings.autopilot.gesture : "long",
+        timeoutSec: Number(settings?.autopilot?.timeoutSec) > 0 ? Number(settings.autopilot.timeoutSec) : 30,
+        target: ["heading", "wind"].includes(settings?.autopilot?.target) ? settings.autopilot.target : "auto",
+      },
+    };
+  }
+
+  function readHttpOptions(h) {
+    const positive = (v, def) => (Number(v) > 0 ? Number(v) : def);
+    // Per-target TLS settings keyed by origin, host:port or host name.
+    const tls = {};
+    for (const t of Array.isArray(h?.tls) ? h.tls : []) {
+      const target = String(t?.target || "").trim().replace(/\/+$/, "");
+      if (!target) continue;
+      tls[target] = { caFile: String(t.caFile || "").trim(), allowInsecure: !!t.allowInsecure };
+    }
+    return {
+      connectTimeoutMs: positive(h?.connectTimeoutMs, 5000),
+      responseTimeoutMs: positive(h?.responseTimeoutMs, 10000),
+      maxBytes: positive(h?.maxResponseKb, 1024) * 1024,
+      maxRedirects: Number.isInteger(h?.maxRedirects) && h.maxRedirects >= 0 ? h.maxRedirects : 5,
+      tls,
+    };
+  }
+
+  function normalizeLayers(list) {
+    const layers = [];
+    for (const item of Array.isArray(list) ? list : []) {
+      const layer = normalizeLayer(item);
+      if (layer && !layers.some((l) => l.name === layer.name)) layers.push(layer);
+    }
+    return layers;
+  }
+
+  // Menu entries take the function parameters of gesture bindings plus a label.
+  function normalizeMenuItems(list) {
+    const items = [];
+    for (const item of Array.isArray(list) ? list : []) {
+      const fn = String(item?.function || "none");
+      if (!KEY_FUNCTIONS.includes(fn) || fn === "none" || fn === "menuOpen") continue;
+      const entry = withFunctionParams({ function: fn }, item);
+      items.push({ ...entry, label: entry.label || functionLabel(entry) });
+    }
+    return items;
+  }
+
+  function normalizeHomeDashboards(list) {
+    const homes = [];
+    for (const item of Array.isArray(list) ? list : []) {
+      const display = String(item?.display || item?.displayId || "").trim();
+      const dashboard = String(item?.dashboard || item?.dashboardId || "").trim();
+      if (display && dashboard) homes.push({ display, dashboard, idleSec: Number(item.idleSec) > 0 ? Number(item.idleSec) : 300 });
+    }
+    return homes;
+  }
+
+  // Favourites name displays and dashboards by id or name, resolved when used.
+  function normalizeFavourites(list) {
+    const favourites = [];
+    for (const item of Array.isArray(list) ? list : []) {
+      const display = String(item?.display || item?.displayId || "").trim();
+      const dashboard = String(item?.dashboard || item?.dashboardId || "").trim();
+      if (display && dashboard) favourites.push({ display, dashboard, label: String(item.label || "") });
+    }
+    return favourites;
+  }
+
+  function layerNames() {
+    return [NAVIGATION_LAYER, ...options.layers.map((l) => l.name)];
+  }
+
+  function getActiveLayer() {
+    const name = persistent.activeLayer;
+    return options.layers.find((l) => l.name === name) || null;
+  }
+
+  function setActiveLayer(name) {
+    const names = layerNames();
+    const next = names.includes(name) ? name : NAVIGATION_LAYER;
+    if (next === (persistent.activeLayer || NAVIGATION_LAYER)) return;
+    persistent.activeLayer = next;
+    savePersistent();
+    publishToSignalK();
+    app.setPluginStatus(`Layer: ${next}`);
+  }
+
+  function stepLayer(dir) {
+    const names = layerNames();
+    const cur = Math.max(0, names.indexOf(persistent.activeLayer || NAVIGATION_LAYER));
+    setActiveLayer(names[(cur + dir + names.length) % names.length]);
+  }
+
+  function functionLabel(b) {
+    if (b.function === "layerSelect") return `Layer ${b.layer}`;
+    if (b.function === "dashboardAt") return `Dashboard ${b.index}`;
+    if (b.function === "dashboardByName") return b.dashboard || FUNCTION_LABELS.dashboardByName;
+    return FUNCTION_LABELS[b.function] || b.function;
+  }
+
+  // What a short press of each key does in the active layer.
+  function keyLabels() {
+    const labels = {};
+    for (const key of Object.values(KEY_MAP)) {
+      const b = resolveKeyBinding(key, "short");
+      if (b) labels[key] = b.label || functionLabel(b);
+    }
+    return labels;
+  }
+
+  function isLayerSwitch(key, gesture) {
+    return !!options.layerSwitch.key && key === options.layerSwitch.key && gesture === options.layerSwitch.gesture;
+  }
+
+  function isMenuKey(key, gesture) {
+    return !!options.menu.key && key === options.menu.key && gesture === options.menu.gesture;
+  }
+
+  // The configured entries, then the favourites the remote can reach.
+  function menuItems(remote) {
+    const favourites = options.menu.includeFavourites ? resolveFavourites(remote) : [];
+    return [...options.menu.items, ...favourites.map((f) => ({ function: "dashboardByName", display: f.displayId, dashboard: f.dashboardId, label: f.label }))];
+  }
+
+  function toggleMenu(remote) {
+    if (menu.isOpen()) return menu.close();
+    if (!menu.open(menuItems(remote), remote.id)) app.setPluginStatus("Menu: no items configured");
+  }
+
+  async function runMenuItem(item, remote) {
+    app.setPluginStatus(`Menu: ${item.label}`);
+    return runKeyFunction(item, remote);
+  }
+
+  function isAutopilotToggle(key, gesture) {
+    return options.autopilot.enabled && key === options.autopilot.key && gesture === options.autopilot.gesture;
+  }
+
+  // keyMap is the remote's (see readKeyMap); layers are shared by all remotes.
+  function resolveKeyBinding(key, gesture, keyMap = options) {
+    if (gesture === "chord") {
+      const chord = keyMap.chordBindings.find((b) => b.key === key);
+      return chord && chord.function !== "none" ? chord : null;
+    }
+    // A custom layer replaces the whole key map.
+    const layer = getActiveLayer();
+    if (layer) {
+      const inLayer = layer.bindings.find((b) => b.key === key && b.gesture === gesture);
+      return inLayer && inLayer.function !== "none" ? inLayer : null;
+    }
+    // Explicit gesture bindings win over the default navigation keys.
+    const bound = keyMap.gestureBindings.find((b) => b.key === key && b.gesture === gesture);
+    if (bound) return bound.function === "none" ? null : bound;
+    if (gesture !== "short") return null;
+    const fn = keyMap.keyFunctions[key];
+    return fn ? { key, gesture, function: fn } : null;
+  }
+
+  function getCurrentDashboard(displayId) {
+    return kip.dashboards(displayId)[kip.screenIndex(displayId)] || null;
+  }
+
+  function resolveCurrentSlotAction(remote, key, gesture) {
+    const selectedDisplayId = remote.selectedDisplayId;
+    // Per-dashboard bindings belong to the navigation layer.
+    if (!selectedDisplayId || getActiveLayer()) return null;
+    const dash = getCurrentDashboard(selectedDisplayId);
+    return resolveSlotAction(selectedDisplayId, dash ? dash.id : null, slotName(key, gesture));
+  }
+
+  // Chords the remote's gesture detector watches: the settings chords plus the
+  // chord slots bound for the dashboard it shows now.
+  function remoteChords(remote) {
+    const chords = remote.keyMap.chordBindings.map((b) => b.keys);
+    const displayId = remote.selectedDisplayId;
+    if (!displayId || getActiveLayer()) return chords;
+    const dash = getCurrentDashboard(displayId);
+    for (const slot of Object.keys(getEffectiveActions(displayId, dash ? dash.id : null))) {
+      if (slot.endsWith(":chord")) chords.push(slot.slice(0, -":chord".length).split("+"));
+    }
+    return chords;
+  }
+
+  function selectDisplay(remote, dir) {
+    // Build the list of display ids the remote may select, in the current KIP order.
+    const ids = allowedDisplays(remote.profile, kip.displays()).map((d) => d.id);
+    if (ids.length === 0) return;
+    // Resolve the current index for the selected display.
+    const cur = remote.selectedDisplayId && ids.includes(remote.selectedDisplayId) ? ids.indexOf(remote.selectedDisplayId) : 0;
+    // Compute and apply the next selected display id.
+    setSelectedDisplay(remote, ids[(cur + dir + ids.length) % ids.length]);
+  }
+
+  function setSelectedDisplay(remote, displayId) {
+    remote.selectedDisplayId = displayId;
+    idleHome.activity(displayId);
+    // Publish the new selected display id to Signal K.
+    publishToSignalK();
+    // Publish the current screen index for the newly selected display.
+    publishSelectedScreenIndex();
+    publishRemote(remote);
+    rememberNavigation();
+  }
+
+  // Select a display on the remote and show one of its dashboards.
+  async function jumpTo(remote, displayId, dashboardId) {
+    if (displayId !== remote.selectedDisplayId) setSelectedDisplay(remote, displayId);
+    try { await kipSetActiveScreen(displayId, dashboardId); } catch (_) {}
+  }
+
+  // The favourites a remote can reach now: on displays it may select, with dashboards KIP lists.
+  function resolveFavourites(remote) {
+    const displays = allowedDisplays(remote.profile, kip.displays());
+    const out = [];
+    for (const f of options.favourites) {
+      const display = findByRef(displays, f.display);
+      const dash = display && findByRef(kip.dashboards(display.id), f.dashboard);
+      if (dash) out.push({ displayId: display.id, dashboardId: String(dash.id), label: f.label || `${display.name || display.id} / ${dash.name || dash.id}` });
+    }
+    return out;
+  }
+
+  async function stepFavourites(remote, dir) {
+    const displayId = remote.selectedDisplayId;
+    const dash = displayId ? getCurrentDashboard(displayId) : null;
+    const next = stepFavourite(resolveFavourites(remote), { displayId, dashboardId: dash ? String(dash.id) : null }, dir);
+    if (next) await jumpTo(remote, next.displayId, next.dashboardId);
+  }
+
+  async function showDashboardAt(remote, index) {
+    const selectedDisplayId = remote.selectedDisplayId;
+    if (!selectedDisplayId) return;
+    // Load dashboards for the selected display.
+    const dashboards = kip.dashboards(selectedDisplayId);
+    if (dashboards.length === 0) return;
+    // Wrap the index within the dashboards length.
+    const newIdx = ((index % dashboards.length) + dashboards.length) % dashboards.length;
+    // Resolve the dashboard id for the new index.
+    const dashboardId = dashboards[newIdx]?.id;
+    if (!dashboardId) return;
+    // Ask KIP to activate the selected dashboard id.
+    try { await kipSetActiveScreen(selectedDisplayId, dashboardId); } catch (_) {}
+  }
+
+  async function runKeyFunction(binding, remote = defaultRemote()) {
+    const selectedDisplayId = remote.selectedDisplayId;
+    const curIdx = selectedDisplayId ? kip.screenIndex(selectedDisplayId) : 0;
+    // Actions see the remote and its display (templates, kip steps).
+    const trigger = { ...binding, device: remote.id, displayId: selectedDisplayId };
+
+    switch (binding.function) {
+      case "displayPrev":
+        return selectDisplay(remote, -1);
+      case "displayNext":
+        return selectDisplay(remote, +1);
+      case "dashboardPrev":
+        return showDashboardAt(remote, curIdx - 1);
+      case "dashboardNext":
+        return showDashboardAt(remote, curIdx + 1);
+      case "dashboardFirst":
+        return showDashboardAt(remote, 0);
+      case "dashboardLast":
+        return showDashboardAt(remote, -1);
+      case "dashboardAt": {
+        // Positions past the end do nothing rather than wrap.
+        const count = selectedDisplayId ? kip.dashboards(selectedDisplayId).length : 0;
+        const i = binding.index > 0 ? binding.index - 1 : count + binding.index;
+        if (i < 0 || i >= count) return;
+        return showDashboardAt(remote, i);
+      }
+      case "dashboardByName": {
+        const display = binding.display ? findByRef(allowedDisplays(remote.profile, kip.displays()), binding.display) : kip.displays().find((d) => d.id === selectedDisplayId);
+        const dash = display && findByRef(kip.dashboards(display.id), binding.dashboard);
+        if (!dash) return;
+        return jumpTo(remote, display.id, String(dash.id));
+      }
+      case "favouriteNext":
+        return stepFavourites(remote, +1);
+      case "favouritePrev":
+        return stepFavourites(remote, -1);
+      case "play": {
+        if (!selectedDisplayId) return;
+        const dash = getCurrentDashboard(selectedDisplayId);
+        if (!dash) return;
+        return runSlotAction(selectedDisplayId, dash.id, PLAY_SLOT, getPlayAction(selectedDisplayId, dash.id), trigger);
+      }
+      case "action":
+        return executePlayAction(binding.action, 0, trigger);
+      case "layerNext":
+        return stepLayer(+1);
+      case "layerPrev":
+        return stepLayer(-1);
+      case "layerSelect":
+        return setActiveLayer(binding.layer);
+      case "autopilotToggle":
+        return autopilot.toggle();
+      case "menuOpen":
+        return toggleMenu(remote);
+      case "homeSuspend":
+        return setHomeSuspended(!idleHome.isSuspended());
+      default:
+        return;
     }
-    savePersistent();
   }
 
-  async function kipGet(p) {
-    const port = getServerPort();
-    const res = await requestLocal({ port, method: "GET", path: p });
-    if (res.status < 200 || res.status >= 300) throw new Error(`KIP GET ${p} -> HTTP ${res.status}`);
-    return res.bodyJson;
-  }
+  async function handleGesture(g, remote = defaultRemote()) {
+    lastGesture = g.gesture;
+    lastGestureKey = g.key;
+    lastGestureAt = new Date(g.at).toISOString();
+    remote.lastGesture = `${g.key}:${g.gesture}`;
+    publishToSignalK();
+    publishRemote(remote);
+
+    // While the menu is open, the arrows and Enter of the remote that opened it drive the menu.
+    if (g.gesture === "short" && menu.handlesKey(g.key) && menu.owner() === remote.id) {
+      const item = menu.handleKey(g.key);
+      if (item) await runMenuItem(item, remote);
+      return;
+    }
+    if (isMenuKey(g.key, g.gesture)) {
+      toggleMenu(remote);
+      return;
+    }
+    if (isLayerSwitch(g.key, g.gesture)) {
+      stepLayer(+1);
+      return;
+    }
+    if (isAutopilotToggle(g.key, g.gesture)) {
+      autopilot.toggle();
+      return;
+    }
+    // In autopilot mode the arrows and Enter steer instead of navigating.
+    if (g.gesture === "short" && autopilot.handlesKey(g.key)) {
+      await autopilot.handleKey(g.key);
+      return;
+    }
 
-  function normalizeDisplayList(payload) {
-    if (Array.isArray(payload)) return payload;
-    if (payload && Array.isArray(payload.displays)) return payload.displays;
-    if (payload && Array.isArray(payload.items)) return payload.items;
-    return [];
-  }
-
-  function normalizeDisplayItem(item) {
-    // Normalize the incoming display id from multiple possible keys.
-    const id = String(item?.id || item?.displayId || item?.uuid || "").trim();
-    // Skip invalid display entries without an id.
-    if (!id) return null;
-    // Normalize a friendly name or fall back to the id.
-    const name = String(item?.name || item?.title || id);
-    // Return a normalized display object.
-    return { id, name };
-  }
-
-  function normalizeDisplays(payload) {
-    // Normalize the display list payload into an array.
-    const list = normalizeDisplayList(payload);
-    // Map each item through the normalization helper.
-    const normalized = list.map((item) => normalizeDisplayItem(item)).filter(Boolean);
-    // Return the normalized array.
-    return normalized;
-  }
-
-  function normalizeDashboards(payload) {
-    if (Array.isArray(payload)) return payload;
-    if (payload && Array.isArray(payload.dashboards)) return payload.dashboards;
-    if (payload && Array.isArray(payload.items)) return payload.items;
-    return [];
-  }
-
-  function normalizeDashboardItem(item) {
-    // Normalize the incoming dashboard id from multiple possible keys.
-    const id = String(item?.id || item?.dashboardId || item?.uuid || "").trim();
-    // Skip invalid dashboard entries without an id.
-    if (!id) return null;
-    // Normalize a friendly name or fall back to the id.
-    const name = String(item?.name || item?.title || id);
-    // Preserve the icon if present on the payload.
-    const icon = item?.icon || null;
-    // Return a normalized dashboard object.
-    return { id, name, icon };
-  }
-
-  function normalizeScreenIndex(payload) {
-    if (Number.isFinite(payload)) return Number(payload);
-    if (payload && Number.isFinite(payload.screenIndex)) return Number(payload.screenIndex);
-    if (payload && Number.isFinite(payload.index)) return Number(payload.index);
-    if (payload && Number.isFinite(payload.activeScreen)) return Number(payload.activeScreen);
-    return null;
-  }
+    const slotAction = resolveCurrentSlotAction(remote, g.key, g.gesture);
+    const binding = resolveKeyBinding(g.key, g.gesture, remote.keyMap);
+    if (!slotAction && !binding) return;
 
-  async function kipPost(p, json) {
-    const port = getServerPort();
-    const res = await requestLocal({ port, method: "POST", path: p, json });
-    if (res.status < 200 || res.status >= 300) throw new Error(`KIP POST ${p} -> HTTP ${res.status} (${res.bodyText})`);
-    return res.bodyJson;
+    if (kip.displays().length === 0) {
+      try { await kip.refresh(); } catch (_) {}
+    }
+    // A per-dashboard binding for the key takes over from its key function.
+    if (slotAction) {
+      const selectedDisplayId = remote.selectedDisplayId;
+      const dash = getCurrentDashboard(selectedDisplayId);
+      const trigger = { ...g, device: remote.id, displayId: selectedDisplayId };
+      return runSlotAction(selectedDisplayId, dash ? dash.id : WILDCARD, slotName(g.key, g.gesture), slotAction, trigger);
+    }
+    await runKeyFunction(binding, remote);
   }
 
-  async function refreshKipDisplaysAndDashboards() {
-    // Fetch the KIP display list from the local server.
-    const displays = await kipGet("/plugins/kip/displays");
-    // Normalize the payload into an array of display objects.
-    kipDisplays = normalizeDisplays(displays);
+  function handleKey(evt, remote = defaultRemote()) {
+    // The kernel dropped events: held-key state can no longer be trusted.
+    if (evt.codeName === "SYN_DROPPED") {
+      if (remote.gestures) remote.gestures.reset();
+      return;
+    }
+    if (evt.typeName !== "EV_KEY") return;
 
-    // Default the selected display to the first KIP display id.
-    if (kipDisplays.length && !selectedDisplayId) selectedDisplayId = kipDisplays[0].id;
-    // Ensure the selected display still exists in the latest list.
-    if (kipDisplays.length && selectedDisplayId && !kipDisplays.some((d) => d.id === selectedDisplayId)) {
-      selectedDisplayId = kipDisplays[0].id;
+    // Only real key events go into a recording, so a replay is not recorded twice.
+    if (recording && !evt.simulated && recording.events.length < RECORDING_LIMIT) {
+      recording.events.push({ key: evt.codeName, action: evt.action, at: Number.isFinite(evt.time) ? evt.time : Date.now() });
     }
 
-    // Build a lookup of dashboards keyed by display id.
-    const newDash = {};
-    // Iterate through each display to fetch its dashboards.
-    for (const d of kipDisplays) {
-      try {
-        // Fetch dashboards for the current display id.
-        const dashboards = await kipGet(`/plugins/kip/displays/${encodeURIComponent(d.id)}`);
-        // Store normalized dashboards for this display id.
-        newDash[d.id] = normalizeDashboards(dashboards).map((dash) => normalizeDashboardItem(dash)).filter(Boolean);
-      } catch (_) {
-        // Default to an empty dashboard list on errors.
-        newDash[d.id] = [];
-      }
+    // Someone is using the display this remote points at.
+    if (evt.action === "down" && remote.selectedDisplayId) idleHome.activity(remote.selectedDisplayId);
+
+    const record = options.publishOn === "any" || evt.action === options.publishOn;
+    if (record) {
+      lastKey = evt.codeName;
+      lastKeyAt = new Date(Number.isFinite(evt.time) ? evt.time : Date.now()).toISOString();
+      lastKeyCode = evt.code;
+      remote.lastKey = lastKey;
+      remote.lastKeyAt = lastKeyAt;
+      publishToSignalK();
+      publishRemote(remote);
     }
-    // Replace the dashboards lookup with the refreshed data.
-    kipDashboardsByDisplay = newDash;
+
+    if (remote.gestures) remote.gestures.feed(evt);
   }
 
-  async function refreshKipScreenIndexes() {
-    // Iterate through each display to fetch its screen index.
-    for (const d of kipDisplays) {
-      try {
-        // Request the screen index for the current display id.
-        const idx = await kipGet(`/plugins/kip/displays/${encodeURIComponent(d.id)}/screenIndex`);
-        // Normalize the response into a number.
-        const normalized = normalizeScreenIndex(idx);
-        // Store a valid screen index or default to zero.
-        kipScreenIndexByDisplay[d.id] = Number.isFinite(normalized) ? normalized : 0;
-      } catch (_) {
-        // Default missing screen index to zero.
-        if (kipScreenIndexByDisplay[d.id] == null) kipScreenIndexByDisplay[d.id] = 0;
+  function resolveInputTargets() {
+    // Names let device profiles match configured paths by name too.
+    let named = [];
+    if (options.profiles.some((p) => p.deviceName)) {
+      try { named = listInputDevices(); } catch (_) {}
+    }
+    const targets = options.eventDevices.map((p) => ({ path: p, name: named.find((d) => d.eventPaths.includes(p))?.name, source: "configured" }));
+    if (options.discovery.enabled) {
+      const seen = new Set(targets.map((t) => t.path));
+      for (const m of matchInputDevices(listInputDevices(), options.discovery)) {
+        if (seen.has(m.path)) continue;
+        seen.add(m.path);
+        targets.push({ path: m.path, name: m.name, source: "discovered" });
       }
     }
-    // Publish screen index updates when they change.
-    publishSelectedScreenIndex();
+    // Older configurations relied on the fixed paths; keep reading them until eventDevices is set.
+    if (!targets.length && options.legacyEventDevices) {
+      for (const p of LEGACY_EVENT_DEVICES) if (fs.existsSync(p)) targets.push({ path: p, source: "legacy" });
+    }
+    return targets;
   }
 
-  async function kipSetActiveScreen(displayId, dashboardId) {
-    // Tell KIP to change to the selected dashboard id.
-    await kipPost(`/plugins/kip/displays/${encodeURIComponent(displayId)}/activeScreen`, { changeId: dashboardId });
-    // Refresh screen indexes to reflect the change.
-    await refreshKipScreenIndexes();
+  function reportDeviceStatus() {
+    const connected = deviceStates.filter((d) => d.state === "connected");
+    if (deviceStates.length === 0) {
+      app.setPluginStatus("Running. No input device found (check eventDevices / discovery settings)");
+      return;
+    }
+    const list = deviceStates.map((d) => `${d.path}${d.name ? ` (${d.name})` : ""}: ${d.state}`).join(", ");
+    const denied = deviceStates.find((d) => /EACCES|EPERM/.test(d.error || ""));
+    if (denied) {
+      app.setPluginError(`Cannot read ${denied.path}. Ensure user is in 'input' group. ${denied.error}`);
+      return;
+    }
+    const restored = storageProblems.length ? `. State: ${storageProblems.join("; ")}` : "";
+    const conflicts = bindingConflicts.length ? `. ${bindingConflicts.length} binding conflict(s) with settings, see bindingConflicts in /api/state` : "";
+    app.setPluginStatus(`Running. Devices ${connected.length}/${deviceStates.length} connected: ${list}${restored}${conflicts}`);
   }
 
-  async function executePlayAction(action) {
-    if (!action || action.type === "none") return;
-
-    if (action.type === "rest") {
-      const method = String(action.method || "GET").toUpperCase();
-      const url = String(action.url || "").trim();
-      const params = action.params && typeof action.params === "object" ? action.params : undefined;
-      const body = action.body;
-
-      if (url) {
-        const res = await requestAny({
-          url,
-          method,
-          query: params,
-          json: method === "POST" ? (body ?? {}) : undefined,
-        });
-        app.setPluginStatus(`Play REST ${method} ${url} -> ${res.status}`);
-        return;
+  function startSimulationSources() {
+    const { scriptFile, loop, fifoPath } = options.simulation;
+    if (scriptFile) {
+      try {
+        simulationSources.push(startScriptFile(scriptFile, (evt) => handleKey(evt), { loop }));
+      } catch (err) {
+        app.setPluginError(`Cannot play script ${scriptFile}: ${err.message}`);
       }
-
-      const p = String(action.path || "/").trim();
-      const port = getServerPort();
-      const res = await requestLocal({ port, method, path: p, json: method === "POST" ? (body ?? {}) : undefined });
-      app.setPluginStatus(`Play REST ${method} ${p} -> ${res.status}`);
-      return;
     }
-
-    if (action.type === "signalk") {
-      const key = String(action.key || "").trim();
-      if (!key) return;
-      publishToSignalK([{ path: key, value: action.value }]);
-      app.setPluginStatus(`Play SK write: ${key}`);
+    if (fifoPath) {
+      try {
+        simulationSources.push(startFifo(fifoPath, (evt) => handleKey(evt), (err) => app.error(`FIFO ${fifoPath}: ${err.message}`)));
+      } catch (err) {
+        app.setPluginError(`Cannot read FIFO ${fifoPath}: ${err.message}`);
+      }
     }
   }
 
-  function normalizeBindingFromSettings(item) {
-    const screenId = String(item?.screenId || item?.displayId || "").trim();
-    const dashboardId = String(item?.dashboardId || "").trim();
-    if (!screenId || !dashboardId) return null;
+  // Simulation and recording control inject input, so they need write access
+  // whenever Signal K security is enabled.
+  function requireWriteAccess(req, res, next) {
+    const strategy = app.securityStrategy;
+    const secured = strategy && typeof strategy.isDummy === "function" && !strategy.isDummy();
+    if (!secured) return next();
+    const allowed = typeof strategy.shouldAllowWrite === "function" ? strategy.shouldAllowWrite(req, { context: "vessels.self", updates: [] }) : !!req.skIsAuthenticated;
+    if (allowed) return next();
+    res.status(401).json({ error: "Authentication with write access required" });
+  }
 
-    const actionType = String(item?.actionType || item?.action?.type || "none");
+  function functionParamSchemaProperties() {
+    // "key" is the trigger key in these bindings, so the action's path is "path".
+    const { key, ...actionProps } = actionSchemaProperties();
+    return {
+      layer: { type: "string", title: "Layer to select (layerSelect)" },
+      index: { type: "number", title: "Dashboard position, 1 = first, -1 = last (dashboardAt)" },
+      dashboard: { type: "string", title: "Dashboard name or id (dashboardByName)" },
+      display: { type: "string", title: "Display name or id (dashboardByName, default: selected display)" },
+      label: { type: "string", title: "Label shown on the web UI keypad" },
+      path: { type: "string", title: "Signal K path (signalk / signalk-put action)" },
+      ...actionProps,
+    };
+  }
 
-    if (actionType === "rest") {
-      const url = String(item.url || item?.action?.url || "").trim();
-      const method = String(item.method || item?.action?.method || "GET").toUpperCase();
-      const params =
-        item.params && typeof item.params === "object" ? item.params : item?.action?.params && typeof item.action.params === "object" ? item.action.params : {};
-      const body = item.body !== undefined ? item.body : item?.action?.body ?? {};
-      return { screenId, dashboardId, action: { type: "rest", url, method, params, body } };
-    }
+  function actionSchemaProperties() {
+    return {
+      actionType: { type: "string", title: "Action type", enum: ["none", "rest", "signalk", "signalk-put", "sequence", "if"], default: "none" },
 
-    if (actionType === "signalk") {
-      const key = String(item.key || item?.action?.key || "").trim();
-      const value = item.value !== undefined ? item.value : item?.action?.value;
-      return { screenId, dashboardId, action: { type: "signalk", key, value } };
-    }
+      url: { type: "string", title: "REST URL (http/https)" },
+      method: { type: "string", title: "HTTP method", enum: METHODS, default: "GET" },
+      params: { type: "object", title: "Query parameters", default: {} },
+      headers: {
+        type: "array",
+        title: "HTTP headers",
+        default: [],
+        items: { type: "object", properties: { name: { type: "string", title: "Name" }, value: { type: "string", title: "Value" } } },
+      },
+      authType: { type: "string", title: "Authentication", enum: AUTH_TYPES, default: "none" },
+      username: { type: "string", title: "User name (basic)" },
+      password: { type: "string", title: "Password (basic)" },
+      token: { type: "string", title: "Token (bearer)" },
+      captureFrom: { type: "string", title: "Capture a value from the response", enum: CAPTURE_FROM, default: "none" },
+      captureExpr: { type: "string", title: "Capture: JSON pointer/path (json, e.g. /relays/0/ison) or regex (regex, first group)" },
+      capturePath: { type: "string", title: "Capture: Signal K path to publish the value to (optional)" },
+      bodyType: { type: "string", title: "Body format (POST/PUT/PATCH/DELETE)", enum: BODY_TYPES, default: "json" },
+      body: { type: "object", title: "Body fields (json or form)", default: {} },
+      bodyText: { type: "string", title: "Raw body text (text, or a pre-encoded form; replaces body)", default: "" },
+      expectStatus: { type: "string", title: "Expected HTTP status (e.g. 2xx, 200,204 or 200-299; default 2xx)", default: "" },
+
+      key: { type: "string", title: "Signal K document key/path" },
+      value: { title: "Value to write" },
+      timeoutMs: { type: "number", title: "Timeout (ms): PUT completion (default 5000), or the REST response (default from HTTP settings)" },
+
+      steps: {
+        type: "array",
+        title: "Sequence steps (rest, signalk, delay, kip)",
+        default: [],
+        items: {
+          type: "object",
+          properties: {
+            type: { type: "string", title: "Step type", enum: ["rest", "signalk", "signalk-put", "delay", "kip", "sequence", "if"], default: "delay" },
+            continueOnError: { type: "boolean", title: "Continue when this step fails", default: false },
+            ms: { type: "number", title: "Delay (ms)" },
+            displayId: { type: "string", title: "KIP display id (kip, default: selected display)" },
+            dashboardId: { type: "string", title: "KIP dashboard id (kip)" },
+          },
+        },
+      },
 
-    return { screenId, dashboardId, action: { type: "none" } };
-  }
+      conditions: {
+        type: "array",
+        title: "If: conditions on Signal K values",
+        default: [],
+        items: {
+          type: "object",
+          properties: {
+            path: { type: "string", title: "Signal K path (or a template variable such as dashboard.name)" },
+            op: { type: "string", title: "Comparison", enum: OPERATORS, default: "==" },
+            value: { type: "string", title: "Value to compare with" },
+          },
+        },
+      },
+      match: { type: "string", title: "If: conditions that must hold", enum: ["all", "any"], default: "all" },
+      then: { type: "object", title: "If: action when the conditions hold (action object with type)" },
+      else: { type: "object", title: "If: action otherwise (optional)" },
 
-  function applyPlayBindingsFromSettings(playBindings) {
-    if (!Array.isArray(playBindings)) return;
-    const merge = {};
-    for (const item of playBindings) {
-      const n = normalizeBindingFromSettings(item);
-      if (!n) continue;
-      if (!merge[n.screenId]) merge[n.screenId] = {};
-      merge[n.screenId][n.dashboardId] = n.action;
-    }
-    mergeBindings(merge);
+      action: { type: "object", title: "Advanced: nested action object (optional)" },
+    };
   }
 
   const plugin = { id: PLUGIN_ID, name: "QXS-001 Key Monitor" };
 
+  function describeCandidateDevices() {
+    let devices = [];
+    try { devices = listInputDevices(); } catch (_) {}
+    const lines = devices
+      .filter((d) => d.eventPaths.length)
+      .map((d) => `${d.eventPaths.join(", ")}: "${d.name}" (vendor ${d.vendor || "?"}, product ${d.product || "?"})`);
+    return lines.length ? `Detected input devices: ${lines.join("; ")}` : "No input devices detected.";
+  }
+
   plugin.schema = () => ({
     type: "object",
     properties: {
       eventDevices: {
         type: "array",
-        title: "Input event devices to read",
+        title: "Input event devices to read (in addition to discovered ones)",
+        description: describeCandidateDevices(),
         items: { type: "string" },
-        default: ["/dev/input/event6", "/dev/input/event7"],
+        default: [],
+      },
+      discovery: {
+        type: "object",
+        title: "Automatic device discovery",
+        description: "Devices matching every non-empty criterion are read and re-opened when they reconnect.",
+        properties: {
+          enabled: { type: "boolean", title: "Discover the remote's input devices", default: true },
+          namePattern: { type: "string", title: "Device name pattern (regular expression)", default: "QXS" },
+          vendorId: { type: "string", title: "USB/BT vendor id (hex)", default: "" },
+          productId: { type: "string", title: "USB/BT product id (hex)", default: "" },
+          byIdPattern: { type: "string", title: "/dev/input/by-id name pattern (regular expression)", default: "" },
+        },
+      },
+      simulation: {
+        type: "object",
+        title: "Simulated key input (testing without a remote)",
+        properties: {
+          scriptFile: { type: "string", title: "Script file to play at start (lines: KEY action delayMs)", default: "" },
+          loop: { type: "boolean", title: "Loop the script", default: false },
+          fifoPath: { type: "string", title: "FIFO to read script lines from", default: "" },
+        },
+      },
+      eventLayout: {
+        type: "string",
+        title: "input_event layout (auto, 64bit = 24 bytes, 32bit / 32bit-time64 = 16 bytes)",
+        enum: LAYOUT_NAMES,
+        default: "auto",
+      },
+      http: {
+        type: "object",
+        title: "HTTP client (REST actions and KIP requests)",
+        properties: {
+          connectTimeoutMs: { type: "number", title: "Connect timeout (ms)", default: 5000 },
+          responseTimeoutMs: { type: "number", title: "Response timeout (ms)", default: 10000 },
+          maxResponseKb: { type: "number", title: "Largest accepted response (KiB)", default: 1024 },
+          maxRedirects: { type: "number", title: "Redirects to follow", default: 5 },
+          tls: {
+            type: "array",
+            title: "TLS settings per target",
+            items: {
+              type: "object",
+              properties: {
+                target: { type: "string", title: "Target (https://host:port, host:port or host)" },
+                caFile: { type: "string", title: "CA certificate file (PEM)", default: "" },
+                allowInsecure: { type: "boolean", title: "Accept any certificate (self-signed, wrong host)", default: false },
+              },
+            },
+          },
+        },
       },
       publishOn: {
         type: "string",
@@ -313,27 +1734,195 @@ module.exports = function (app) {
       keyPrev: { type: "string", title: "Dashboard Previous", default: "KEY_PREVIOUSSONG" },
       keyPlay: { type: "string", title: "Play Button", default: "KEY_PLAYPAUSE" },
 
-      playBindings: {
+      longPressMs: { type: "number", title: "Long press hold time (ms)", default: 600 },
+      doublePressMs: { type: "number", title: "Double press window (ms)", default: 300 },
+
+      gestureBindings: {
+        type: "array",
+        title: "Gesture bindings (short/long/double press per key)",
+        default: [],
+        items: {
+          type: "object",
+          properties: {
+            key: { type: "string", title: "Key name (e.g. KEY_PLAYPAUSE)" },
+            gesture: { type: "string", title: "Gesture", enum: GESTURES, default: "long" },
+            function: { type: "string", title: "Function", enum: KEY_FUNCTIONS, default: "none" },
+            ...functionParamSchemaProperties(),
+          },
+        },
+      },
+
+      deviceProfiles: {
+        type: "array",
+        title: "Remotes (per-device key maps and display selection)",
+        description: "Each input device matched by a profile gets its own selected display and key map; the others share the default remote. Layers and the autopilot mode are shared.",
+        default: [],
+        items: {
+          type: "object",
+          properties: {
+            id: { type: "string", title: "Id (letters, digits, - and _; published as qxs001.devices.<id>)" },
+            label: { type: "string", title: "Label" },
+            devicePath: { type: "string", title: "Input event device path (e.g. /dev/input/by-id/...)" },
+            deviceName: { type: "string", title: "Or part of the device name" },
+            displays: { type: "array", title: "KIP displays it may select (ids or names; empty: all)", default: [], items: { type: "string" } },
+            keyVolumeUp: { type: "string", title: "Display Previous (empty: global setting)" },
+            keyVolumeDown: { type: "string", title: "Display Next (empty: global setting)" },
+            keyNext: { type: "string", title: "Dashboard Next (empty: global setting)" },
+            keyPrev: { type: "string", title: "Dashboard Previous (empty: global setting)" },
+            keyPlay: { type: "string", title: "Play Button (empty: global setting)" },
+            gestureBindings: {
+              type: "array",
+              title: "Gesture bindings (empty: the global ones)",
+              items: {
+                type: "object",
+                properties: {
+                  key: { type: "string", title: "Key name (e.g. KEY_PLAYPAUSE)" },
+                  gesture: { type: "string", title: "Gesture", enum: GESTURES, default: "long" },
+                  function: { type: "string", title: "Function", enum: KEY_FUNCTIONS, default: "none" },
+                  ...functionParamSchemaProperties(),
+                },
+              },
+            },
+            chordBindings: {
+              type: "array",
+              title: "Chord bindings (empty: the global ones)",
+              items: {
+                type: "object",
+                properties: {
+                  keys: { type: "string", title: "Keys joined with + (e.g. KEY_VOLUMEUP+KEY_VOLUMEDOWN)" },
+                  function: { type: "string", title: "Function", enum: KEY_FUNCTIONS, default: "none" },
+                  ...functionParamSchemaProperties(),
+                },
+              },
+            },
+          },
+        },
+      },
+
+      favourites: {
+        type: "array",
+        title: "Favourite dashboards (cycled by favouriteNext / favouritePrev, across displays)",
+        default: [],
+        items: {
+          type: "object",
+          properties: {
+            display: { type: "string", title: "KIP display name or id" },
+            dashboard: { type: "string", title: "Dashboard name or id" },
+            label: { type: "string", title: "Label" },
+          },
+        },
+      },
+
+      layers: {
+        type: "array",
+        title: "Key layers (each replaces the whole key map while active)",
+        default: [],
+        items: {
+          type: "object",
+          properties: {
+            name: { type: "string", title: "Layer name (e.g. lights, media)" },
+            bindings: {
+              type: "array",
+              title: "Key bindings of this layer",
+              default: [],
+              items: {
+                type: "object",
+                properties: {
+                  key: { type: "string", title: "Key name (e.g. KEY_UP)" },
+                  gesture: { type: "string", title: "Gesture", enum: GESTURES, default: "short" },
+                  function: { type: "string", title: "Function", enum: KEY_FUNCTIONS, default: "none" },
+                  ...functionParamSchemaProperties(),
+                },
+              },
+            },
+          },
+        },
+      },
+
+      homeDashboards: {
         type: "array",
-        title: "Play button actions (per screenId + dashboardId)",
+        title: "Home dashboards (a display goes back there after a time without activity)",
         default: [],
         items: {
           type: "object",
           properties: {
-            screenId: { type: "string", title: "Screen id (KIP display id)" },
-            dashboardId: { type: "string", title: "Dashboard id (KIP dashboard id)" },
+            display: { type: "string", title: "KIP display name or id" },
+            dashboard: { type: "string", title: "Home dashboard name or id" },
+            idleSec: { type: "number", title: "Return after (s) without a key press or screen change", default: 300 },
+          },
+        },
+      },
+
+      menu: {
+        type: "object",
+        title: "On-screen menu (arrows move, Enter runs the highlighted entry)",
+        properties: {
+          key: { type: "string", title: "Key that opens/closes the menu (empty: only via the menuOpen function)", default: "" },
+          gesture: { type: "string", title: "Gesture of that key", enum: GESTURES, default: "long" },
+          timeoutSec: { type: "number", title: "Close after (s) without a key press", default: 15 },
+          includeFavourites: { type: "boolean", title: "List the favourite dashboards after the entries", default: true },
+          items: {
+            type: "array",
+            title: "Menu entries",
+            default: [],
+            items: {
+              type: "object",
+              properties: {
+                function: { type: "string", title: "Function", enum: KEY_FUNCTIONS, default: "action" },
+                ...functionParamSchemaProperties(),
+              },
+            },
+          },
+        },
+      },
+
+      layerSwitch: {
+        type: "object",
+        title: "Key that cycles through the layers",
+        properties: {
+          key: { type: "string", title: "Key name (empty: only via layer functions)", default: "" },
+          gesture: { type: "string", title: "Gesture", enum: GESTURES, default: "long" },
+        },
+      },
 
-            actionType: { type: "string", title: "Action type", enum: ["none", "rest", "signalk"], default: "none" },
+      autopilot: {
+        type: "object",
+        title: "Autopilot remote mode",
+        properties: {
+          enabled: { type: "boolean", title: "Enable autopilot mode", default: false },
+          key: { type: "string", title: "Key that enters/leaves the mode", default: "KEY_ENTER" },
+          gesture: { type: "string", title: "Gesture of that key", enum: GESTURES, default: "long" },
+          timeoutSec: { type: "number", title: "Return to navigation after (s) without a key press", default: 30 },
+          target: { type: "string", title: "Target to adjust", enum: ["auto", "heading", "wind"], default: "auto" },
+        },
+      },
 
-            url: { type: "string", title: "REST URL (http/https)" },
-            method: { type: "string", title: "HTTP method", enum: ["GET", "POST"], default: "GET" },
-            params: { type: "object", title: "Query parameters", default: {} },
-            body: { type: "object", title: "JSON body (POST)", default: {} },
+      chordBindings: {
+        type: "array",
+        title: "Chord bindings (keys held together)",
+        default: [],
+        items: {
+          type: "object",
+          properties: {
+            keys: { type: "string", title: "Keys joined with + (e.g. KEY_VOLUMEUP+KEY_VOLUMEDOWN)" },
+            function: { type: "string", title: "Function", enum: KEY_FUNCTIONS, default: "none" },
+            ...functionParamSchemaProperties(),
+          },
+        },
+      },
 
-            key: { type: "string", title: "Signal K document key/path" },
-            value: { title: "Value to write" },
+      playBindings: {
+        type: "array",
+        title: "Per-dashboard key actions (per screenId + dashboardId + slot)",
+        default: [],
+        items: {
+          type: "object",
+          properties: {
+            screenId: { type: "string", title: "Screen id (KIP display id, * for all displays)" },
+            dashboardId: { type: "string", title: "Dashboard id (KIP dashboard id, * for the display default)" },
+            slot: { type: "string", title: "Slot: play, a key (KEY_ENTER) or key:gesture (KEY_UP:long)", default: "play" },
 
-            action: { type: "object", title: "Advanced: nested action object (optional)" },
+            ...actionSchemaProperties(),
           },
         },
       },
@@ -352,39 +1941,166 @@ module.exports = function (app) {
           ["KEY_UP"],
           ["KEY_LEFT", "KEY_DOWN", "KEY_RIGHT"],
         ],
-        last: { lastKey, lastKeyAt, lastKeyCode },
+        last: { lastKey, lastKeyAt, lastKeyCode, lastGesture, lastGestureKey, lastGestureAt },
+        autopilot: autopilot.view(),
+        menu: menu.view(),
+        layer: persistent.activeLayer || NAVIGATION_LAYER,
+        layers: layerNames(),
+        labels: keyLabels(),
       });
     });
 
-    router.get("/api/state", async (req, res) => {
+    router.get("/api/devices", (req, res) => {
+      let candidates = [];
+      try { candidates = listInputDevices(); } catch (_) {}
+      res.json({ devices: deviceStates, candidates, remotes: Object.values(remotes).map(remoteView) });
+    });
+
+    router.post("/api/simulate", requireWriteAccess, express.json(), (req, res) => {
+      // Accept { script: "text" }, { events: [...] } or a single { key, action };
+      // device names the remote (profile id) the keys come from.
+      const remote = req.body?.device ? findRemote(req.body.device) : defaultRemote();
+      if (!remote) return res.status(404).json({ error: `Unknown device ${req.body.device}` });
+      let steps;
       try {
-        await refreshKipDisplaysAndDashboards();
-        await refreshKipScreenIndexes();
-      } catch (_) {}
+        if (typeof req.body?.script === "string") steps = parseScript(req.body.script);
+        else if (Array.isArray(req.body?.events)) steps = parseScript(req.body.events);
+        else steps = parseScript([req.body || {}]);
+      } catch (e) {
+        return res.status(400).json({ error: String(e.message || e) });
+      }
+      if (steps.length === 0) return res.status(400).json({ error: "No key events" });
+
+      // Events without delays are injected right away, so the response reflects them.
+      if (steps.every((st) => st.delay === 0)) {
+        for (const st of steps) handleKey(makeKeyEvent(st.key, st.action), remote);
+        return res.json({ ok: true, injected: steps.length });
+      }
+      const run = runScript(steps, (evt) => handleKey(evt, remote));
+      simulationSources.push(run);
+      run.done.then(() => {
+        simulationSources = simulationSources.filter((src) => src !== run);
+      });
+      res.json({ ok: true, scheduled: steps.length, durationMs: steps.reduce((t, st) => t + st.delay, 0) });
+    });
+
+    router.post("/api/recording/start", requireWriteAccess, (req, res) => {
+      recording = { startedAt: new Date().toISOString(), stoppedAt: null, events: [] };
+      res.json({ ok: true, startedAt: recording.startedAt });
+    });
+
+    router.post("/api/recording/stop", requireWriteAccess, (req, res) => {
+      if (!recording) return res.status(400).json({ error: "Not recording" });
+      const done = { ...recording, stoppedAt: new Date().toISOString() };
+      recording = null;
+      lastRecording = done;
+      res.json({ ok: true, events: done.events.length, script: formatScript(done.events) });
+    });
+
+    router.get("/api/recording", requireWriteAccess, (req, res) => {
+      const rec = recording || lastRecording;
+      if (!rec) return res.status(404).json({ error: "No recording" });
+      const script = formatScript(rec.events);
+      // ?format=text downloads a script that POST /api/simulate or simulation.scriptFile can replay.
+      if (req.query.format === "text") {
+        res.type("text/plain").attachment("qxs001-recording.txt").send(script + "\n");
+        return;
+      }
+      res.json({ recording: !!recording, startedAt: rec.startedAt, stoppedAt: rec.stoppedAt, events: rec.events, script });
+    });
+
+    router.get("/api/state", async (req, res) => {
+      // Served from the KIP cache; ?refresh=1 re-reads displays and dashboards first.
+      if (req.query.refresh) {
+        try { await kip.refresh({ force: true }); } catch (_) {}
+      }
+      const selectedDisplayId = defaultRemote().selectedDisplayId;
 
-      const displaysView = kipDisplays.map((d) => {
-        const dashboards = kipDashboardsByDisplay[d.id] || [];
-        const screenIndex = kipScreenIndexByDisplay[d.id] ?? 0;
+      const links = bindingLinks();
+      const displaysView = kip.displays().map((d) => {
+        const dashboards = kip.dashboards(d.id);
+        const screenIndex = kip.screenIndex(d.id);
+        // Effective slot actions per dashboard, defaults already folded in.
         const bindings = {};
-        for (const dash of dashboards) bindings[String(dash.id)] = getPlayAction(d.id, dash.id);
-        return { displayId: d.id, displayName: d.name || d.id, screenIndex, dashboards, bindings };
+        // Where each of those actions is stored and where it came from.
+        const origins = {};
+        for (const dash of dashboards) {
+          bindings[String(dash.id)] = redactSlots(getEffectiveActions(d.id, dash.id));
+          origins[String(dash.id)] = getEffectiveSources(d.id, String(dash.id));
+        }
+        const displayDefaults = redactSlots(bindingEntry(d.id, WILDCARD)?.actions);
+        const results = lastResults[d.id] || {};
+        // Bindings borrowed from a re-created display or dashboard until they are relinked.
+        const displayLinks = links.filter((l) => l.displayId === d.id);
+        return { displayId: d.id, displayName: d.name || d.id, screenIndex, dashboards, bindings, displayDefaults, results, links: displayLinks, origins };
       });
 
       res.json({
         lastKey,
         lastKeyAt,
         lastKeyCode,
+        lastGesture,
+        lastGestureKey,
+        lastGestureAt,
         selected: {
           selectedDisplayId,
-          screenIndex: selectedDisplayId ? kipScreenIndexByDisplay[selectedDisplayId] ?? 0 : 0,
+          screenIndex: selectedDisplayId ? kip.screenIndex(selectedDisplayId) : 0,
         },
         displays: displaysView,
+        kip: kip.view(),
+        storage: { version: STATE_VERSION, problems: storageProblems },
+        favourites: resolveFavourites(defaultRemote()),
+        globalDefaults: redactSlots(persistent.bindings[WILDCARD]?.[WILDCARD]?.actions),
+        bindingConflicts,
+        sequence: { running: [...sequenceRuns.values()], last: lastSequence },
+        autopilot: autopilot.view(),
+        menu: menu.view(),
+        home: idleHome.view(),
+        devices: deviceStates,
+        remotes: Object.values(remotes).map(remoteView),
       });
     });
 
+    // Suspend or resume the idle return to home dashboards: { suspended }.
+    router.post("/api/home/suspend", requireWriteAccess, express.json(), (req, res) => {
+      if (typeof req.body?.suspended !== "boolean") return res.status(400).json({ error: "Expected { suspended: true | false }" });
+      setHomeSuspended(req.body.suspended);
+      res.json(idleHome.view());
+    });
+
+    router.get("/api/menu", (req, res) => {
+      res.json(menu.view());
+    });
+
+    // Open the menu as if the key was pressed on a remote ({ device }, default: the default remote).
+    router.post("/api/menu/open", requireWriteAccess, express.json(), (req, res) => {
+      const remote = req.body?.device ? findRemote(req.body.device) : defaultRemote();
+      if (!remote) return res.status(404).json({ error: `Unknown device ${req.body.device}` });
+      if (!menu.isOpen() && !menu.open(menuItems(remote), remote.id)) return res.status(400).json({ error: "No menu items configured" });
+      res.json(menu.view());
+    });
+
+    router.post("/api/menu/close", requireWriteAccess, (req, res) => {
+      menu.close();
+      res.json(menu.view());
+    });
+
+    // Run an entry ({ index }, default: the highlighted one) on the remote that opened the menu.
+    router.post("/api/menu/select", requireWriteAccess, express.json(), async (req, res) => {
+      const remote = findRemote(menu.owner()) || defaultRemote();
+      const item = req.body?.index !== undefined ? menu.select(Number(req.body.index)) : menu.select();
+      if (!item) return res.status(400).json({ error: menu.isOpen() ? "No such menu entry" : "The menu is not open" });
+      try {
+        const result = await runMenuItem(item, remote);
+        res.json({ ok: true, label: item.label, result: result ?? null });
+      } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+      }
+    });
+
     router.post("/api/kip/activeScreen", express.json(), async (req, res) => {
       // Read the display id from the request or fall back to the selected one.
-      const displayId = String(req.body?.displayId || "").trim() || selectedDisplayId;
+      const displayId = String(req.body?.displayId || "").trim() || defaultRemote().selectedDisplayId;
       // Read the dashboard id to activate for the display.
       const changeId = String(req.body?.changeId || "").trim();
       // Require a valid display id.
@@ -396,140 +2112,223 @@ module.exports = function (app) {
         // Ask KIP to activate the dashboard id.
         await kipSetActiveScreen(displayId, changeId);
         // Return the updated screen index for this display.
-        res.json({ ok: true, displayId, screenIndex: kipScreenIndexByDisplay[displayId] ?? 0 });
+        res.json({ ok: true, displayId, screenIndex: kip.screenIndex(displayId) });
       } catch (e) {
         // Surface KIP errors in a user-friendly payload.
         res.status(500).json({ error: String(e.message || e) });
       }
     });
 
+    // Credentials are masked unless ?secrets=1 is given by a user with write access.
+    router.get("/api/bindings/export", (req, res, next) => (req.query.secrets ? requireWriteAccess(req, res, next) : next()), (req, res) => {
+      const bindings = req.query.secrets
+        ? persistent.bindings
+        : Object.fromEntries(Object.entries(persistent.bindings).map(([d, m]) => [d, Object.fromEntries(Object.entries(m).map(([dash, e]) => [dash, { ...e, actions: redactSlots(e.actions) }]))]));
+      res.set("Content-Disposition", 'attachment; filename="qxs001-bindings.json"');
+      res.json(exportDocument(bindings));
+    });
+
+    // Import an export document: { bindings, mode: "merge" | "replace", dryRun }.
+    router.post("/api/bindings/import", requireWriteAccess, express.json({ limit: "1mb" }), (req, res) => {
+      const mode = req.body?.mode ?? "merge";
+      if (!["merge", "replace"].includes(mode)) return res.status(400).json({ error: 'mode must be "merge" or "replace"' });
+      const doc = readImportDocument(req.body);
+      if (doc.error) return res.status(400).json({ error: doc.error });
+      const { bindings, errors } = bindingsFromImport(doc.bindings);
+      if (errors.length) return res.status(400).json({ error: "Invalid bindings", errors });
+
+      const plan = planImport(persistent.bindings, bindings, mode);
+      const dryRun = !!req.body?.dryRun;
+      if (!dryRun) {
+        persistent.bindings = plan.bindings;
+        savePersistent();
+      }
+      res.json({ mode, dryRun, diff: plan.diff });
+    });
+
+    router.get("/api/bindings/orphans", async (req, res) => {
+      const report = await orphanReport();
+      if (!report) return res.status(503).json({ error: "KIP is not reachable; orphaned bindings cannot be determined" });
+      res.json(report);
+    });
+
+    router.delete("/api/bindings/orphans", requireWriteAccess, async (req, res) => {
+      const report = await orphanReport();
+      if (!report) return res.status(503).json({ error: "KIP is not reachable; orphaned bindings cannot be determined" });
+      // Entries linked by id or name are kept; relink them to make them regular bindings.
+      // A match by position alone is too weak to keep an entry alive.
+      const keep = (o) => o.linkedTo && o.linkedTo.match !== "index";
+      const removed = report.orphans.filter((o) => !keep(o));
+      for (const o of removed) removeBinding(o.displayId, o.dashboardId);
+      if (removed.length) savePersistent();
+      res.json({ removed, kept: report.orphans.filter(keep), unchecked: report.unchecked });
+    });
+
+    // Bindings found by name or position for displays and dashboards KIP re-created with new ids.
+    router.get("/api/bindings/links", (req, res) => {
+      res.json({ links: bindingLinks() });
+    });
+
+    // Rewrite linked bindings to the current ids: { displayId?, dashboardId?, dryRun? }.
+    router.post("/api/bindings/relink", requireWriteAccess, express.json(), (req, res) => {
+      const { displayId, dashboardId, dryRun } = req.body || {};
+      res.json({ dryRun: !!dryRun, relinked: relinkBindings({ displayId, dashboardId }, !!dryRun) });
+    });
+
+    router.get("/api/bindings/:displayId/:dashboardId", (req, res) => {
+      res.json(bindingView(req.params.displayId, req.params.dashboardId));
+    });
+
+    // Replace the slot map of a dashboard ({ actions: { slot: action } }) or set one slot ({ action }).
+    router.put("/api/bindings/:displayId/:dashboardId/:slot?", requireWriteAccess, express.json(), (req, res) => {
+      const { displayId, dashboardId } = req.params;
+      if (!isBindingId(displayId) || !isBindingId(dashboardId)) return res.status(400).json({ error: "Invalid display or dashboard id" });
+      if (displayId === WILDCARD && dashboardId !== WILDCARD) return res.status(400).json({ error: "A * display needs a * dashboard" });
+      const stored = storedEntry(persistent.bindings, displayId, dashboardId)?.actions || {};
+      const incoming = req.params.slot ? { [req.params.slot]: req.body?.action } : req.body?.actions;
+      if (!incoming || typeof incoming !== "object") return res.status(400).json({ error: "Expected { actions } or { action }" });
+
+      const actions = {};
+      const errors = [];
+      for (const [rawSlot, raw] of Object.entries(incoming)) {
+        const slot = normalizeSlot(rawSlot);
+        if (!slot) {
+          errors.push({ field: rawSlot, message: "Invalid slot (play, KEY_X, KEY_X:long, KEY_X:double or KEY_A+KEY_B:chord)" });
+          continue;
+        }
+        const r = actionFromApi(raw, stored[slot]);
+        errors.push(...r.errors.map((e) => ({ ...e, field: `${slot}.${e.field}` })));
+        if (r.action) actions[slot] = r.action;
+      }
+      if (errors.length) return res.status(400).json({ error: "Invalid binding", errors });
+
+      const entry = ensureBindingEntry(displayId, dashboardId);
+      const origins = Object.fromEntries(Object.keys(actions).map((slot) => [slot, "api"]));
+      entry.actions = req.params.slot ? { ...entry.actions, ...actions } : actions;
+      entry.origins = req.params.slot ? { ...entry.origins, ...origins } : origins;
+      savePersistent();
+      res.json(bindingView(displayId, dashboardId));
+    });
+
+    router.delete("/api/bindings/:displayId/:dashboardId/:slot?", requireWriteAccess, (req, res) => {
+      const { displayId, dashboardId } = req.params;
+      if (!isBindingId(displayId) || !isBindingId(dashboardId)) return res.status(400).json({ error: "Invalid display or dashboard id" });
+      const slot = req.params.slot && normalizeSlot(req.params.slot);
+      if (req.params.slot && !slot) return res.status(400).json({ error: "Invalid slot" });
+      if (!removeBinding(displayId, dashboardId, slot)) return res.status(404).json({ error: "No such binding" });
+      savePersistent();
+      res.json(bindingView(displayId, dashboardId));
+    });
+
+    // Run a draft action without saving it. With displayId/dashboardId/slot the
+    // masked credentials come from the stored binding.
+    router.post("/api/bindings/test", requireWriteAccess, express.json(), async (req, res) => {
+      const { displayId, dashboardId, slot } = req.body || {};
+      if ((displayId != null && !isBindingId(displayId)) || (dashboardId != null && !isBindingId(dashboardId))) {
+        return res.status(400).json({ error: "Invalid display or dashboard id" });
+      }
+      const stored = displayId && dashboardId && slot ? storedEntry(persistent.bindings, displayId, dashboardId)?.actions?.[normalizeSlot(slot)] : null;
+      const { action, errors } = actionFromApi(req.body?.action, stored);
+      if (errors.length) return res.status(400).json({ error: "Invalid action", errors });
+      try {
+        const result = await executePlayAction(action);
+        res.json({ ok: result.ok !== false, result });
+      } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+      }
+    });
+
     router.post("/api/triggerPlay", async (req, res) => {
+      // ?device=<profile id> plays on the display selected on that remote.
+      const remote = req.query.device ? findRemote(req.query.device) : defaultRemote();
+      if (!remote) return res.status(404).json({ error: `Unknown device ${req.query.device}` });
+      const selectedDisplayId = remote.selectedDisplayId;
       if (!selectedDisplayId) return res.status(400).json({ error: "No selected display" });
 
-      const dashboards = kipDashboardsByDisplay[selectedDisplayId] || [];
-      const idx = kipScreenIndexByDisplay[selectedDisplayId] ?? 0;
-      const dash = dashboards[idx];
+      const dash = getCurrentDashboard(selectedDisplayId);
       if (!dash) return res.status(400).json({ error: "No dashboard at current index" });
 
       const action = getPlayAction(selectedDisplayId, dash.id);
       try {
-        await executePlayAction(action);
-        res.json({ ok: true, action, displayId: selectedDisplayId, dashboardId: dash.id });
+        const result = await runSlotAction(selectedDisplayId, dash.id, PLAY_SLOT, action, { device: remote.id, displayId: selectedDisplayId });
+        res.json({ ok: true, action: redactAction(action), result, displayId: selectedDisplayId, dashboardId: dash.id });
       } catch (e) {
-        res.status(500).json({ error: String(e.message || e), action });
+        res.status(500).json({ error: String(e.message || e), action: redactAction(action) });
       }
     });
   };
 
   plugin.start = async (settings) => {
-    const eventDevices = Array.isArray(settings?.eventDevices) ? settings.eventDevices : ["/dev/input/event6", "/dev/input/event7"];
-    const publishOn = settings?.publishOn || "down";
+    options = readOptions(settings);
+    startRemotes();
+    autopilot.configure({ timeoutMs: options.autopilot.timeoutSec * 1000, target: options.autopilot.target });
+    menu.configure({ timeoutMs: options.menu.timeoutSec * 1000 });
+    idleHome.setSuspended(!!persistent.homeSuspended);
+    observedScreenIndexes = {};
+    httpClient.configure(options.http);
 
-    const keyVolumeUp = String(settings?.keyVolumeUp || "KEY_VOLUMEUP");
-    const keyVolumeDown = String(settings?.keyVolumeDown || "KEY_VOLUMEDOWN");
-    const keyNext = String(settings?.keyNext || "KEY_NEXTSONG");
-    const keyPrev = String(settings?.keyPrev || "KEY_PREVIOUSSONG");
-    const keyPlay = String(settings?.keyPlay || "KEY_PLAYPAUSE");
-
-    applyPlayBindingsFromSettings(settings?.playBindings);
+    reconcileSettingsBindings(settings?.playBindings);
 
     try {
-      await refreshKipDisplaysAndDashboards();
-      await refreshKipScreenIndexes();
+      await kip.refresh({ force: true });
     } catch (e) {
       app.setPluginStatus(`Running (KIP not ready: ${String(e.message || e)})`);
     }
-
-    screenPollTimer = setInterval(() => {
-      refreshKipScreenIndexes().catch(() => {});
-    }, 2000);
-
-    async function handleKey(evt) {
-      if (evt.typeName !== "EV_KEY") return;
-
-      const record = publishOn === "any" || evt.action === publishOn;
-      if (record) {
-        lastKey = evt.codeName;
-        lastKeyAt = new Date().toISOString();
-        lastKeyCode = evt.code;
-        publishToSignalK();
-      }
-
-      if (evt.action !== "down") return;
-
-      if (kipDisplays.length === 0) {
-        try { await refreshKipDisplaysAndDashboards(); } catch (_) {}
-      }
-
-      if (evt.codeName === keyVolumeUp || evt.codeName === keyVolumeDown) {
-        if (kipDisplays.length === 0) return;
-        // Build the list of display ids in the current KIP order.
-        const ids = kipDisplays.map((d) => d.id);
-        // Resolve the current index for the selected display.
-        const cur = selectedDisplayId && ids.includes(selectedDisplayId) ? ids.indexOf(selectedDisplayId) : 0;
-        // Choose the direction based on volume key intent.
-        const dir = evt.codeName === keyVolumeUp ? -1 : +1;
-        // Compute and apply the next selected display id.
-        selectedDisplayId = ids[(cur + dir + ids.length) % ids.length];
-        // Publish the new selected display id to Signal K.
-        publishToSignalK();
-        // Publish the current screen index for the newly selected display.
-        publishSelectedScreenIndex();
-        return;
-      }
-
-      if (evt.codeName === keyNext || evt.codeName === keyPrev) {
-        if (!selectedDisplayId) return;
-        // Load dashboards for the selected display.
-        const dashboards = kipDashboardsByDisplay[selectedDisplayId] || [];
-        if (dashboards.length === 0) return;
-        // Read the current screen index for this display.
-        const curIdx = kipScreenIndexByDisplay[selectedDisplayId] ?? 0;
-        // Choose direction based on next/previous key.
-        const dir = evt.codeName === keyNext ? +1 : -1;
-        // Wrap the new index within the dashboards length.
-        const newIdx = (curIdx + dir + dashboards.length) % dashboards.length;
-        // Resolve the dashboard id for the new index.
-        const dashboardId = dashboards[newIdx]?.id;
-        if (!dashboardId) return;
-        // Ask KIP to activate the selected dashboard id.
-        try { await kipSetActiveScreen(selectedDisplayId, dashboardId); } catch (_) {}
-        return;
-      }
-
-      if (evt.codeName === keyPlay) {
-        if (!selectedDisplayId) return;
-        const dashboards = kipDashboardsByDisplay[selectedDisplayId] || [];
-        const idx = kipScreenIndexByDisplay[selectedDisplayId] ?? 0;
-        const dash = dashboards[idx];
-        if (!dash) return;
-        await executePlayAction(getPlayAction(selectedDisplayId, dash.id));
-      }
-    }
-
-    readers = eventDevices
-      .map((devPath) => {
-        try {
-          return startReading(devPath, (evt) => handleKey(evt).catch(() => {}));
-        } catch (err) {
-          app.setPluginError(`Cannot read ${devPath}. Ensure user is in 'input' group. ${err.message}`);
-          return null;
+    subscribeKipDeltas();
+    kip.start();
+
+    supervisor = createDeviceSupervisor({
+      resolveTargets: resolveInputTargets,
+      open: (devPath, onError) => {
+        const remote = remoteForDevice(devPath);
+        return startReading(devPath, (evt) => handleKey(evt, remote), onError, { layout: options.eventLayout });
+      },
+      onStateChange: (states) => {
+        // Keys held on a vanished device would otherwise never see their key up.
+        const lost = deviceStates.filter((p) => p.state === "connected" && !states.some((d) => d.path === p.path && d.state === "connected")).map((p) => p.path);
+        for (const remote of Object.values(remotes)) {
+          if (remote.gestures && lost.some((p) => remote.paths.has(p))) remote.gestures.reset();
         }
-      })
-      .filter(Boolean);
+        deviceStates = states;
+        reportDeviceStatus();
+        publishToSignalK([{ path: "self.qxs001.inputDevices", value: states.map((d) => ({ path: d.path, name: d.name, state: d.state })) }]);
+      },
+    });
+    supervisor.start();
+    deviceStates = supervisor.snapshot();
+    reportDeviceStatus();
 
-    app.setPluginStatus(`Running. Reading: ${eventDevices.join(", ")}`);
+    startSimulationSources();
   };
 
   plugin.stop = () => {
-    for (const r of readers) {
-      try { r.stop(); } catch (_) {}
+    if (supervisor) {
+      supervisor.stop();
+      supervisor = null;
+    }
+    for (const src of simulationSources) {
+      try { src.stop(); } catch (_) {}
+    }
+    simulationSources = [];
+    deviceStates = [];
+    // A recording running at stop ends here; what it captured stays downloadable.
+    if (recording) lastRecording = { ...recording, stoppedAt: new Date().toISOString() };
+    recording = null;
+    for (const remote of Object.values(remotes)) {
+      if (remote.gestures) remote.gestures.reset();
+      remote.gestures = null;
     }
-    readers = [];
-    if (screenPollTimer) {
-      try { clearInterval(screenPollTimer); } catch (_) {}
-      screenPollTimer = null;
+    autopilot.stop();
+    menu.stop();
+    idleHome.stop();
+    kip.stop();
+    for (const unsubscribe of kipUnsubscribes) {
+      try { unsubscribe(); } catch (_) {}
     }
+    kipUnsubscribes = [];
+    httpClient.close();
+    // Write pending navigation changes now.
+    if (saveTimer) savePersistent();
     app.setPluginStatus("Stopped.");
   };
 
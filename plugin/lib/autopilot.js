@@ -0,0 +1,172 @@
+"use strict";
+const { putAndWait } = require("./signalk_put");
+
+const STATE_PATH = "steering.autopilot.state";
+const TARGET_PATHS = {
+  heading: "steering.autopilot.target.headingMagnetic",
+  wind: "steering.autopilot.target.windAngleApparent",
+};
+
+// Key -> target change in degrees while the remote is in autopilot mode.
+const ADJUST_KEYS = { KEY_LEFT: -1, KEY_RIGHT: +1, KEY_DOWN: -10, KEY_UP: +10 };
+const ENGAGE_KEY = "KEY_ENTER";
+
+const DEG = Math.PI / 180;
+
+function readSelfValue(app, skPath) {
+  const v = typeof app.getSelfPath === "function" ? app.getSelfPath(skPath) : undefined;
+  return v && typeof v === "object" && "value" in v ? v.value : v;
+}
+
+// Headings live in [0, 2π), wind angles in (-π, π].
+function wrapAngle(rad, type) {
+  const full = 2 * Math.PI;
+  let a = ((rad % full) + full) % full;
+  if (type === "wind" && a > Math.PI) a -= full;
+  return a;
+}
+
+// Autopilot remote mode: arrows nudge the heading or wind-angle target and
+// Enter toggles engage/standby, all through Signal K PUTs on steering.autopilot.
+// The mode drops back to navigation after timeoutMs without a key press.
+function createAutopilotRemote(app, { onChange }) {
+  let config = { timeoutMs: 30000, putTimeoutMs: 5000, target: "auto", engageState: "auto" };
+  let active = false;
+  let target = null;
+  let targetType = "heading";
+  let lastResult = null;
+  let timer = null;
+  // Target including the presses whose PUT has not completed yet.
+  let pendingTarget = null;
+  let inFlight = 0;
+  let queue = Promise.resolve();
+
+  function view() {
+    return {
+      mode: active ? "autopilot" : "navigation",
+      active,
+      state: readSelfValue(app, STATE_PATH) ?? null,
+      targetType,
+      target,
+      targetDeg: Number.isFinite(target) ? Math.round((target / DEG) * 10) / 10 : null,
+      lastResult,
+    };
+  }
+
+  function changed() {
+    try { onChange(view()); } catch (_) {}
+  }
+
+  function armTimeout() {
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(() => exit(), config.timeoutMs);
+  }
+
+  function resolveTargetType() {
+    if (config.target === "heading" || config.target === "wind") return config.target;
+    return readSelfValue(app, STATE_PATH) === "wind" ? "wind" : "heading";
+  }
+
+  function readTarget(type) {
+    const current = readSelfValue(app, TARGET_PATHS[type]);
+    if (Number.isFinite(current)) return current;
+    // No target yet: start from where the boat is pointing.
+    const fallback = type === "wind" ? readSelfValue(app, "environment.wind.angleApparent") : readSelfValue(app, "navigation.headingMagnetic");
+    return Number.isFinite(fallback) ? fallback : null;
+  }
+
+  function enter() {
+    active = true;
+    targetType = resolveTargetType();
+    target = readTarget(targetType);
+    lastResult = null;
+    armTimeout();
+    changed();
+  }
+
+  function exit() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    if (!active) return;
+    active = false;
+    changed();
+  }
+
+  // Presses accumulate on pendingTarget and their PUTs go out one at a time, so
+  // quick presses add up. With no PUT in flight the live target is read again,
+  // so a change made on the pilot head is kept.
+  function adjust(deltaDeg) {
+    if (inFlight === 0) {
+      const live = readTarget(targetType);
+      pendingTarget = Number.isFinite(live) ? live : target;
+    }
+    if (!Number.isFinite(pendingTarget)) {
+      lastResult = { ok: false, message: "No autopilot target or heading available" };
+      changed();
+      return Promise.resolve(lastResult);
+    }
+    const next = wrapAngle(pendingTarget + deltaDeg * DEG, targetType);
+    pendingTarget = next;
+    inFlight++;
+    const run = queue
+      .then(async () => {
+        const reply = await putAndWait(app, TARGET_PATHS[targetType], next, { timeoutMs: config.putTimeoutMs });
+        if (reply.ok) target = next;
+        lastResult = { ...reply, action: `${targetType} ${deltaDeg > 0 ? "+" : ""}${deltaDeg}` };
+        changed();
+        return lastResult;
+      })
+      .finally(() => {
+        inFlight--;
+      });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  async function toggleEngage() {
+    const state = readSelfValue(app, STATE_PATH);
+    const engaged = state != null && state !== "standby";
+    const next = engaged ? "standby" : targetType === "wind" ? "wind" : config.engageState;
+    const reply = await putAndWait(app, STATE_PATH, next, { timeoutMs: config.putTimeoutMs });
+    lastResult = { ...reply, action: next };
+    changed();
+    return lastResult;
+  }
+
+  return {
+    configure(opts) {
+      config = { ...config, ...opts };
+    },
+    isActive: () => active,
+    enter,
+    exit,
+    toggle() {
+      if (active) exit();
+      else enter();
+    },
+    // Returns true when the key belongs to the autopilot mode and was consumed.
+    async handleKey(key) {
+      if (!active) return false;
+      if (key in ADJUST_KEYS) {
+        armTimeout();
+        await adjust(ADJUST_KEYS[key]);
+        return true;
+      }
+      if (key === ENGAGE_KEY) {
+        armTimeout();
+        await toggleEngage();
+        return true;
+      }
+      return false;
+    },
+    handlesKey: (key) => active && (key in ADJUST_KEYS || key === ENGAGE_KEY),
+    view,
+    stop() {
+      if (timer) clearTimeout(timer);
+      timer = null;
+      active = false;
+    },
+  };
+}
+
+module.exports = { createAutopilotRemote };
@@ -0,0 +1,96 @@
+"use strict";
+
+const WILDCARD = "*";
+// Ids that would reach Object.prototype when used as keys of the bindings map.
+const RESERVED_IDS = ["__proto__", "constructor", "prototype"];
+
+// A display or dashboard id that may be stored as a key of the bindings map.
+function isBindingId(id) {
+  return typeof id === "string" && id !== "" && !RESERVED_IDS.includes(id);
+}
+
+// The stored entry for exactly these ids, or null. Only own keys are read:
+// the ids come from API requests and settings.
+function storedEntry(bindings, displayId, dashboardId) {
+  const m = Object.hasOwn(bindings, displayId) ? bindings[displayId] : null;
+  return m && Object.hasOwn(m, dashboardId) ? m[dashboardId] : null;
+}
+
+// Names, position and dashboard count kept next to the actions of a binding entry, so the
+// entry can be found again when KIP hands out new ids.
+function bindingMeta(src) {
+  const out = {};
+  if (typeof src?.displayName === "string" && src.displayName) out.displayName = src.displayName;
+  if (typeof src?.dashboardName === "string" && src.dashboardName) out.dashboardName = src.dashboardName;
+  if (Number.isInteger(src?.dashboardIndex) && src.dashboardIndex >= 0) out.dashboardIndex = src.dashboardIndex;
+  if (Number.isInteger(src?.dashboardCount) && src.dashboardCount > 0) out.dashboardCount = src.dashboardCount;
+  return out;
+}
+
+// Meta of a binding target in the KIP layout, or null when KIP does not know it.
+function metaFor(displays, displayId, dashboardId) {
+  const display = displays.find((d) => d.id === displayId);
+  if (!display) return null;
+  if (dashboardId === WILDCARD) return { displayName: display.name };
+  const index = (display.dashboards || []).findIndex((d) => d.id === dashboardId);
+  if (index < 0) return null;
+  return { displayName: display.name, dashboardName: display.dashboards[index].name, dashboardIndex: index, dashboardCount: display.dashboards.length };
+}
+
+// Stored entries standing in for live KIP targets that have no binding of their
+// own. displays is the KIP layout [{ id, name, dashboards: [{ id, name }] }]
+// (dashboards null when they could not be loaded). Only entries KIP no longer
+// knows are candidates, and each is used once. Matches, in order:
+// - "display-name": same dashboard id under a stored display of the same name
+// - "name": same dashboard name, on the display or a stored display of its name
+// - "index": same dashboard position on a display of the same name, which had
+//   as many dashboards as it has now (weakest: only for a re-created layout)
+// A match is only taken when exactly one entry qualifies.
+// Returns [{ displayId, dashboardId, storedDisplayId, storedDashboardId, match }].
+function computeLinks(bindings, displays) {
+  const liveDisplayIds = new Set(displays.map((d) => d.id));
+  const links = [];
+  const used = new Set();
+  const key = (d, dash) => JSON.stringify([d, dash]);
+
+  for (const display of displays) {
+    // The display's own entries, then those of gone displays with the same name.
+    const keys = [display.id].concat(
+      Object.keys(bindings).filter(
+        (id) => id !== WILDCARD && !liveDisplayIds.has(id) && Object.values(bindings[id] || {}).some((e) => e?.displayName && e.displayName === display.name)
+      )
+    );
+    const live = display.dashboards ? new Set(display.dashboards.map((d) => d.id)) : null;
+    const wanted = [{ id: WILDCARD }].concat((display.dashboards || []).map((d, index) => ({ id: d.id, name: d.name, index })));
+
+    for (const match of ["display-name", "name", "index"]) {
+      for (const dash of wanted) {
+        if (storedEntry(bindings, display.id, dash.id)) continue;
+        if (links.some((l) => l.displayId === display.id && l.dashboardId === dash.id)) continue;
+        const hits = [];
+        for (const storedDisplayId of keys) {
+          for (const [storedDashboardId, entry] of Object.entries(bindings[storedDisplayId] || {})) {
+            if (used.has(key(storedDisplayId, storedDashboardId))) continue;
+            if (match === "display-name") {
+              if (storedDisplayId !== display.id && storedDashboardId === dash.id) hits.push([storedDisplayId, storedDashboardId]);
+              continue;
+            }
+            if (dash.id === WILDCARD || storedDashboardId === WILDCARD || !live || live.has(storedDashboardId)) continue;
+            const same =
+              match === "name"
+                ? entry?.dashboardName === dash.name
+                : entry?.dashboardIndex === dash.index && entry?.displayName === display.name && entry?.dashboardCount === display.dashboards.length;
+            if (same) hits.push([storedDisplayId, storedDashboardId]);
+          }
+        }
+        if (hits.length !== 1) continue;
+        const [storedDisplayId, storedDashboardId] = hits[0];
+        used.add(key(storedDisplayId, storedDashboardId));
+        links.push({ displayId: display.id, dashboardId: dash.id, storedDisplayId, storedDashboardId, match });
+      }
+    }
+  }
+  return links;
+}
+
+module.exports = { isBindingId, storedEntry, bindingMeta, metaFor, computeLinks };
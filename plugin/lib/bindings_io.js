@@ -0,0 +1,86 @@
+"use strict";
+
+const EXPORT_FORMAT = "qxs001-bindings";
+const EXPORT_VERSION = 1;
+const WILDCARD = "*";
+
+// Every stored slot as [displayId, dashboardId, slot, action].
+function slotEntries(bindings) {
+  const out = [];
+  for (const [displayId, dashboards] of Object.entries(bindings || {})) {
+    for (const [dashboardId, entry] of Object.entries(dashboards || {})) {
+      for (const [slot, action] of Object.entries(entry?.actions || {})) out.push([displayId, dashboardId, slot, action]);
+    }
+  }
+  return out;
+}
+
+function sameAction(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function exportDocument(bindings) {
+  return { format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt: new Date().toISOString(), bindings };
+}
+
+// Accept an export document or a bare { bindings }. Returns { bindings } or { error }.
+function readImportDocument(body) {
+  if (!body || typeof body !== "object") return { error: "Expected a JSON object" };
+  if (body.format !== undefined && body.format !== EXPORT_FORMAT) return { error: `Unknown format "${body.format}"` };
+  if (Number(body.version) > EXPORT_VERSION) return { error: `Export version ${body.version} is newer than this plugin (${EXPORT_VERSION})` };
+  const bindings = body.bindings;
+  if (!bindings || typeof bindings !== "object" || Array.isArray(bindings)) return { error: "Expected bindings: { displayId: { dashboardId: { actions } } }" };
+  return { bindings };
+}
+
+// Apply incoming (already normalized) bindings to current without touching it.
+// "merge" keeps the slots the import does not mention, "replace" drops them.
+// Returns the new map and a per-slot diff of { displayId, dashboardId, slot }.
+function planImport(current, incoming, mode) {
+  const next = mode === "replace" ? {} : JSON.parse(JSON.stringify(current || {}));
+  for (const [displayId, dashboards] of Object.entries(incoming || {})) {
+    for (const [dashboardId, entry] of Object.entries(dashboards || {})) {
+      if (!next[displayId]) next[displayId] = {};
+      // Entry fields other than actions (names, position) come from the import.
+      const prev = next[displayId][dashboardId] || { actions: {} };
+      next[displayId][dashboardId] = { ...prev, ...entry, actions: { ...prev.actions, ...entry?.actions }, origins: { ...prev.origins, ...entry?.origins } };
+    }
+  }
+
+  const diff = { added: [], changed: [], removed: [], unchanged: 0 };
+  const before = new Map(slotEntries(current).map(([d, dash, slot, action]) => [JSON.stringify([d, dash, slot]), action]));
+  for (const [displayId, dashboardId, slot, action] of slotEntries(next)) {
+    const k = JSON.stringify([displayId, dashboardId, slot]);
+    if (!before.has(k)) diff.added.push({ displayId, dashboardId, slot });
+    else if (!sameAction(before.get(k), action)) diff.changed.push({ displayId, dashboardId, slot });
+    else diff.unchanged++;
+    before.delete(k);
+  }
+  for (const k of before.keys()) {
+    const [displayId, dashboardId, slot] = JSON.parse(k);
+    diff.removed.push({ displayId, dashboardId, slot });
+  }
+  return { bindings: next, diff };
+}
+
+// Bindings whose KIP display or dashboard no longer exists. displays is the
+// KIP list as [{ id, dashboardIds }], with dashboardIds null when they could
+// not be loaded; those displays are listed in unchecked rather than guessed.
+function findOrphans(bindings, displays) {
+  const known = new Map(displays.map((d) => [d.id, d.dashboardIds]));
+  const orphans = [];
+  const unchecked = new Set();
+  for (const [displayId, dashboards] of Object.entries(bindings || {})) {
+    if (displayId === WILDCARD) continue;
+    for (const [dashboardId, entry] of Object.entries(dashboards || {})) {
+      const slots = Object.keys(entry?.actions || {});
+      if (!known.has(displayId)) orphans.push({ displayId, dashboardId, reason: "display", slots });
+      else if (dashboardId === WILDCARD) continue;
+      else if (!known.get(displayId)) unchecked.add(displayId);
+      else if (!known.get(displayId).includes(dashboardId)) orphans.push({ displayId, dashboardId, reason: "dashboard", slots });
+    }
+  }
+  return { orphans, unchecked: [...unchecked] };
+}
+
+module.exports = { EXPORT_FORMAT, EXPORT_VERSION, slotEntries, exportDocument, readImportDocument, planImport, findOrphans };
@@ -0,0 +1,53 @@
+"use strict";
+
+const CAPTURE_FROM = ["none", "json", "regex", "status"];
+
+// Capture settings: flat captureFrom/captureExpr/capturePath fields or a
+// capture object { from, expr, path }. Returns null when nothing is captured.
+function normalizeCapture(src) {
+  const c = src?.capture && typeof src.capture === "object" ? src.capture : { from: src?.captureFrom, expr: src?.captureExpr, path: src?.capturePath };
+  const from = CAPTURE_FROM.includes(c.from) ? c.from : "none";
+  if (from === "none") return null;
+  return { from, expr: String(c.expr ?? "").trim(), path: String(c.path || "").trim() };
+}
+
+// "/relays/0/ison" (JSON pointer) or "relays[0].ison" / "relays.0.ison".
+function jsonPath(doc, expr) {
+  if (!expr) return doc;
+  const parts = expr.startsWith("/")
+    ? expr.slice(1).split("/").map((p) => p.replace(/~1/g, "/").replace(/~0/g, "~"))
+    : expr.replace(/\[(\d+)\]/g, ".$1").split(".").filter(Boolean);
+  let v = doc;
+  for (const p of parts) {
+    if (v == null || typeof v !== "object" || !(p in v)) return undefined;
+    v = v[p];
+  }
+  return v;
+}
+
+function numberOrText(s) {
+  return /^-?\d+(\.\d+)?$/.test(s) ? Number(s) : s;
+}
+
+// Extract the captured value from an HTTP response ({ status, bodyText, bodyJson }).
+// Returns { ok, value } or { ok: false, error }.
+function extractValue(capture, res) {
+  if (capture.from === "status") return { ok: true, value: res.status };
+  if (capture.from === "json") {
+    if (res.bodyJson === null && res.bodyText.trim() !== "null") return { ok: false, error: "Response is not JSON" };
+    const value = jsonPath(res.bodyJson, capture.expr);
+    return value === undefined ? { ok: false, error: `Nothing at ${capture.expr}` } : { ok: true, value };
+  }
+  let re;
+  try {
+    re = new RegExp(capture.expr);
+  } catch (e) {
+    return { ok: false, error: `Bad regex: ${e.message}` };
+  }
+  const m = re.exec(res.bodyText);
+  if (!m) return { ok: false, error: `No match for /${capture.expr}/` };
+  // The first group when the expression has one, else the whole match.
+  return { ok: true, value: numberOrText(m.length > 1 ? m[1] : m[0]) };
+}
+
+module.exports = { CAPTURE_FROM, normalizeCapture, extractValue };
@@ -0,0 +1,46 @@
+"use strict";
+
+const OPERATORS = ["==", "!=", ">", ">=", "<", "<=", "exists", "missing"];
+
+function normalizeCondition(c) {
+  const path = String(c?.path || "").trim();
+  if (!path) return null;
+  const op = OPERATORS.includes(c?.op) ? c.op : "==";
+  return { path, op, value: c?.value ?? null };
+}
+
+// Bring the expected value (often a string from the settings form) to the
+// type of the actual value, so "2" equals 2 and "true" equals true.
+function coerce(expected, actual) {
+  if (typeof actual === "number" && typeof expected === "string" && expected.trim() !== "" && !Number.isNaN(Number(expected))) return Number(expected);
+  if (typeof actual === "boolean" && (expected === "true" || expected === "false")) return expected === "true";
+  if (actual === null && expected === "null") return null;
+  return expected;
+}
+
+function sameValue(a, b) {
+  if (a !== null && typeof a === "object") return JSON.stringify(a) === JSON.stringify(b);
+  return a === b;
+}
+
+// Check one condition against the actual value of its path.
+// Returns { ok, path, op, value, actual, text } where text explains a failure.
+function evaluateCondition(cond, actual) {
+  const present = actual !== undefined && actual !== null;
+  let ok;
+  if (cond.op === "exists") ok = present;
+  else if (cond.op === "missing") ok = !present;
+  else if (cond.op === "==" || cond.op === "!=") {
+    const equal = sameValue(actual ?? null, coerce(cond.value, actual ?? null));
+    ok = cond.op === "==" ? equal : !equal;
+  } else {
+    const a = Number(actual);
+    const b = Number(cond.value);
+    ok = present && Number.isFinite(a) && Number.isFinite(b) && (cond.op === ">" ? a > b : cond.op === ">=" ? a >= b : cond.op === "<" ? a < b : a <= b);
+  }
+  const shown = present ? JSON.stringify(actual) : "no value";
+  const text = ["exists", "missing"].includes(cond.op) ? `${cond.path} ${cond.op} (${shown})` : `${cond.path} = ${shown}, needs ${cond.op} ${JSON.stringify(cond.value)}`;
+  return { ok, path: cond.path, op: cond.op, value: cond.value, actual: present ? actual : null, text };
+}
+
+module.exports = { OPERATORS, normalizeCondition, evaluateCondition };
@@ -0,0 +1,25 @@
+"use strict";
+
+// Context used by input devices without a profile, and by simulated input.
+const DEFAULT_DEVICE = "default";
+const PROFILE_ID = /^[A-Za-z0-9_-]+$/;
+
+// First profile that claims an input device: devicePath is compared with the
+// event path, deviceName is a case-insensitive part of the device name.
+function matchProfile(profiles, { path, name } = {}) {
+  for (const p of profiles || []) {
+    if (p.devicePath && p.devicePath === path) return p;
+    if (p.deviceName && name && String(name).toLowerCase().includes(p.deviceName.toLowerCase())) return p;
+  }
+  return null;
+}
+
+// The KIP displays a profile may select: its displays list names display ids
+// or names; an empty list allows every display.
+function allowedDisplays(profile, displays) {
+  const allowed = profile?.displays || [];
+  if (!allowed.length) return displays;
+  return displays.filter((d) => allowed.includes(d.id) || allowed.includes(d.name));
+}
+
+module.exports = { DEFAULT_DEVICE, PROFILE_ID, matchProfile, allowedDisplays };
@@ -0,0 +1,153 @@
+"use strict";
+const fs = require("fs");
+const { DEV_INPUT } = require("./input_devices");
+
+// Keep a reader open on every target input device. Targets come from
+// resolveTargets() (configured paths plus discovered ones); a device that
+// fails or disappears is re-opened with exponential backoff, and /dev/input is
+// watched so a re-paired remote is picked up as soon as its node appears.
+function createDeviceSupervisor({ resolveTargets, open, onStateChange, minBackoffMs = 1000, maxBackoffMs = 30000, rescanMs = 5000 }) {
+  const devices = {};
+  let watcher = null;
+  let rescanTimer = null;
+  let scanDebounce = null;
+  let stopped = true;
+
+  function snapshot() {
+    return Object.values(devices).map((d) => ({
+      path: d.path,
+      name: d.name,
+      source: d.source,
+      state: d.state,
+      error: d.error,
+      since: d.since,
+      retries: d.retries,
+      nextRetryAt: d.nextRetryAt,
+    }));
+  }
+
+  function changed() {
+    try { onStateChange(snapshot()); } catch (_) {}
+  }
+
+  function setState(d, state, error = null) {
+    d.state = state;
+    d.error = error;
+    d.since = new Date().toISOString();
+  }
+
+  function scheduleRetry(d) {
+    if (stopped || d.retryTimer) return;
+    const delay = Math.min(maxBackoffMs, minBackoffMs * 2 ** Math.min(d.retries, 16));
+    d.retries += 1;
+    d.nextRetryAt = new Date(Date.now() + delay).toISOString();
+    d.retryTimer = setTimeout(() => {
+      d.retryTimer = null;
+      d.nextRetryAt = null;
+      connect(d);
+    }, delay);
+  }
+
+  function connect(d) {
+    if (stopped || d.reader) return;
+    try {
+      d.reader = open(d.path, (err) => {
+        // The reader has already closed its fd; just record and retry.
+        d.reader = null;
+        setState(d, "disconnected", String(err?.message || err));
+        changed();
+        scheduleRetry(d);
+      });
+      d.retries = 0;
+      setState(d, "connected");
+    } catch (err) {
+      d.reader = null;
+      setState(d, err?.code === "ENOENT" ? "missing" : "error", String(err?.message || err));
+      scheduleRetry(d);
+    }
+    changed();
+  }
+
+  function release(d) {
+    if (d.retryTimer) clearTimeout(d.retryTimer);
+    d.retryTimer = null;
+    if (d.reader) {
+      try { d.reader.stop(); } catch (_) {}
+    }
+    d.reader = null;
+  }
+
+  function scan() {
+    if (stopped) return;
+    let targets = [];
+    try { targets = resolveTargets(); } catch (_) {}
+    const wanted = new Set(targets.map((t) => t.path));
+
+    for (const t of targets) {
+      let d = devices[t.path];
+      if (!d) {
+        d = devices[t.path] = { path: t.path, name: t.name || null, source: t.source || "configured", state: "connecting", retries: 0 };
+        connect(d);
+        continue;
+      }
+      if (t.name) d.name = t.name;
+      // A node that just (re)appeared is worth trying right away.
+      if (!d.reader && d.retryTimer && d.state === "missing" && fs.existsSync(d.path)) {
+        clearTimeout(d.retryTimer);
+        d.retryTimer = null;
+        d.nextRetryAt = null;
+        connect(d);
+      }
+    }
+
+    // Discovered devices that no longer match are dropped; configured ones stay.
+    for (const p of Object.keys(devices)) {
+      if (wanted.has(p)) continue;
+      release(devices[p]);
+      delete devices[p];
+      changed();
+    }
+  }
+
+  function requestScan() {
+    if (scanDebounce) return;
+    scanDebounce = setTimeout(() => {
+      scanDebounce = null;
+      scan();
+    }, 250);
+  }
+
+  return {
+    start() {
+      stopped = false;
+      scan();
+      try {
+        watcher = fs.watch(DEV_INPUT, () => requestScan());
+        watcher.on("error", () => {});
+      } catch (_) {
+        watcher = null;
+      }
+      // The periodic rescan covers systems where fs.watch misses udev renames.
+      rescanTimer = setInterval(scan, rescanMs);
+    },
+    stop() {
+      stopped = true;
+      if (watcher) {
+        try { watcher.close(); } catch (_) {}
+      }
+      watcher = null;
+      if (rescanTimer) clearInterval(rescanTimer);
+      rescanTimer = null;
+      if (scanDebounce) clearTimeout(scanDebounce);
+      scanDebounce = null;
+      for (const p of Object.keys(devices)) {
+        release(devices[p]);
+        delete devices[p];
+      }
+    },
+    rescan: scan,
+    snapshot,
+  };
+}
+
+module.exports = { createDeviceSupervisor };
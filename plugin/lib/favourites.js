@@ -0,0 +1,19 @@
+"use strict";
+
+// A display or dashboard named by id or by name (ids first, names ignore case).
+function findByRef(list, ref) {
+  const r = String(ref ?? "").trim();
+  if (!r) return null;
+  return list.find((x) => String(x.id) === r) || list.find((x) => String(x.name || "").toLowerCase() === r.toLowerCase()) || null;
+}
+
+// The favourite dir steps to from the one showing now ({ displayId, dashboardId }).
+// When no favourite is showing, next starts at the first and prev at the last.
+function stepFavourite(favourites, current, dir) {
+  if (!favourites.length) return null;
+  const cur = favourites.findIndex((f) => f.displayId === current.displayId && f.dashboardId === current.dashboardId);
+  if (cur < 0) return favourites[dir > 0 ? 0 : favourites.length - 1];
+  return favourites[(cur + dir + favourites.length) % favourites.length];
+}
+
+module.exports = { findByRef, stepFavourite };
@@ -0,0 +1,166 @@
+"use strict";
+
+const GESTURES = ["short", "long", "double"];
+
+// Canonical id of a chord: member key names sorted and joined with "+".
+function chordId(keys) {
+  return [...new Set(keys)].sort().join("+");
+}
+
+// Turn raw down/up key events into short, long and double press gestures,
+// plus "chord" gestures when all keys of a configured chord are held together.
+// Keys without a long, double or chord binding fire "short" on key down, so
+// plain navigation keeps the latency it had before gestures existed.
+// chords is a list of key lists, or a function returning one when the chords
+// in use change over time (it is read again on every key down).
+function createGestureDetector({ longPressMs = 600, doublePressMs = 300, chords = [], wantsGesture, onGesture }) {
+  const keys = {};
+  const held = new Set();
+  let chordList = [];
+  let chordMembers = new Set();
+
+  function loadChords() {
+    const list = typeof chords === "function" ? chords() : chords;
+    chordList = (list || []).map((c) => [...new Set(c)]).filter((c) => c.length >= 2);
+    chordMembers = new Set(chordList.flat());
+  }
+
+  function stateFor(key) {
+    if (!keys[key]) keys[key] = { down: false, downAt: 0, lastUpAt: 0, longTimer: null, pendingTimer: null };
+    return keys[key];
+  }
+
+  // Kernel timestamp of the event when the reader provides one.
+  function eventTime(evt) {
+    return Number.isFinite(evt.time) ? evt.time : Date.now();
+  }
+
+  function emit(evt, gesture, at = eventTime(evt)) {
+    try { onGesture({ key: evt.codeName, code: evt.code, gesture, at }); } catch (_) {}
+  }
+
+  function clearTimers(st) {
+    if (st.longTimer) clearTimeout(st.longTimer);
+    if (st.pendingTimer) clearTimeout(st.pendingTimer);
+    st.longTimer = null;
+    st.pendingTimer = null;
+  }
+
+  function matchChord() {
+    return chordList.find((c) => c.every((k) => held.has(k))) || null;
+  }
+
+  function fireChord(evt, chord) {
+    // Swallow the member keys so none of them also fires a single-key gesture.
+    for (const k of chord) {
+      const st = stateFor(k);
+      clearTimers(st);
+      st.isSecond = false;
+      st.suppressed = true;
+    }
+    try { onGesture({ key: chordId(chord), code: evt.code, gesture: "chord", keys: chord, at: eventTime(evt) }); } catch (_) {}
+  }
+
+  function onDown(evt) {
+    const st = stateFor(evt.codeName);
+    // Ignore duplicate downs while the key is already held.
+    if (st.down) return;
+    loadChords();
+    const now = eventTime(evt);
+    st.down = true;
+    st.downAt = now;
+    st.consumed = false;
+    st.longFired = false;
+    held.add(evt.codeName);
+
+    const chord = chordMembers.has(evt.codeName) ? matchChord() : null;
+    if (chord) {
+      fireChord(evt, chord);
+      return;
+    }
+
+    const wantsLong = wantsGesture(evt.codeName, "long");
+    const wantsDouble = wantsGesture(evt.codeName, "double");
+    // Chord members wait for key up, in case a partner key joins.
+    const wantsChord = chordMembers.has(evt.codeName);
+    // Nothing to disambiguate: fire immediately on key down.
+    if (!wantsLong && !wantsDouble && !wantsChord) {
+      st.consumed = true;
+      emit(evt, "short");
+      return;
+    }
+
+    // A second press inside the window turns the pending short into a double.
+    st.isSecond = false;
+    if (st.pendingTimer && now - st.lastUpAt <= doublePressMs) {
+      clearTimeout(st.pendingTimer);
+      st.pendingTimer = null;
+      st.isSecond = true;
+    }
+
+    if (wantsLong) {
+      st.longTimer = setTimeout(() => {
+        st.longTimer = null;
+        st.longFired = true;
+        // The first press of an interrupted double still counts as a short.
+        if (st.isSecond) emit(evt, "short");
+        st.isSecond = false;
+        emit(evt, "long", st.downAt + longPressMs);
+      }, longPressMs);
+    }
+  }
+
+  function onUp(evt) {
+    const st = stateFor(evt.codeName);
+    if (!st.down) return;
+    const now = eventTime(evt);
+    st.down = false;
+    held.delete(evt.codeName);
+    if (st.longTimer) clearTimeout(st.longTimer);
+    st.longTimer = null;
+    if (st.suppressed) {
+      st.suppressed = false;
+      return;
+    }
+    if (st.consumed || st.longFired) return;
+
+    // The timer may not have fired yet when the event loop was busy.
+    if (wantsGesture(evt.codeName, "long") && now - st.downAt >= longPressMs) {
+      emit(evt, "long");
+      return;
+    }
+
+    if (st.isSecond) {
+      st.isSecond = false;
+      emit(evt, "double");
+      return;
+    }
+
+    if (!wantsGesture(evt.codeName, "double")) {
+      emit(evt, "short");
+      return;
+    }
+
+    // Wait for a possible second press before settling on a short press.
+    st.lastUpAt = now;
+    st.pendingTimer = setTimeout(() => {
+      st.pendingTimer = null;
+      emit(evt, "short", now);
+    }, doublePressMs);
+  }
+
+  return {
+    feed(evt) {
+      if (!evt || evt.typeName !== "EV_KEY") return;
+      if (evt.action === "down") onDown(evt);
+      else if (evt.action === "up") onUp(evt);
+    },
+    reset() {
+      for (const k of Object.keys(keys)) clearTimers(keys[k]);
+      for (const k of Object.keys(keys)) delete keys[k];
+      held.clear();
+    },
+  };
+}
+
+module.exports = { createGestureDetector, chordId, GESTURES };
@@ -0,0 +1,247 @@
+"use strict";
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Error raised for everything that keeps a request from producing a response:
+// code says what failed (BAD_URL, CONNECT_TIMEOUT, RESPONSE_TIMEOUT, ABORTED,
+// TOO_LARGE, TOO_MANY_REDIRECTS, TLS, NETWORK, or HTTP_STATUS when a caller
+// rejects a status), phase where it failed (connect, response, redirect).
+class HttpError extends Error {
+  constructor(message, { code, method, url, status = null, phase = null, cause } = {}) {
+    super(message);
+    this.name = "HttpError";
+    this.code = code;
+    this.method = method;
+    this.url = url;
+    this.status = status;
+    this.phase = phase;
+    if (cause) this.cause = cause;
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code, method: this.method, url: this.url, status: this.status, phase: this.phase };
+  }
+}
+
+const TLS_ERROR = /CERT|SSL|TLS|SELF_SIGNED|UNABLE_TO_VERIFY|HOSTNAME/i;
+
+function errorCode(err) {
+  return TLS_ERROR.test(String(err?.code || "")) ? "TLS" : "NETWORK";
+}
+
+// Shared HTTP(S) client with keep-alive pooling. Defaults can be overridden per
+// request; tls maps a target ("https://host:port", "host:port" or "host") to
+// { caFile, allowInsecure }.
+function createHttpClient(defaults = {}) {
+  let config = {
+    connectTimeoutMs: 5000,
+    responseTimeoutMs: 10000,
+    maxBytes: 1024 * 1024,
+    maxRedirects: 5,
+    tls: {},
+    ...defaults,
+  };
+  let httpAgent = null;
+  const httpsAgents = new Map();
+
+  function tlsFor(u, override) {
+    if (override) return override;
+    const t = config.tls || {};
+    return t[u.origin] || t[u.host] || t[u.hostname] || null;
+  }
+
+  function agentFor(u, tls) {
+    if (u.protocol === "http:") {
+      if (!httpAgent) httpAgent = new http.Agent({ keepAlive: true });
+      return httpAgent;
+    }
+    const caFile = tls?.caFile || "";
+    const insecure = !!tls?.allowInsecure;
+    const id = `${caFile}|${insecure}`;
+    if (!httpsAgents.has(id)) {
+      httpsAgents.set(id, new https.Agent({ keepAlive: true, ca: caFile ? fs.readFileSync(caFile) : undefined, rejectUnauthorized: !insecure }));
+    }
+    return httpsAgents.get(id);
+  }
+
+  // One request/response exchange without following redirects.
+  function exchange(u, { method, headers, body, signal, connectTimeoutMs, responseTimeoutMs, maxBytes, tls }) {
+    return new Promise((resolve, reject) => {
+      const label = `${method} ${u.href}`;
+      let settled = false;
+      let responseTimer = null;
+      let connectTimer = null;
+      let connected = false;
+
+      function fail(code, message, phase, cause) {
+        if (settled) return;
+        settled = true;
+        cleanup();
+        reject(new HttpError(`${label}: ${message}`, { code, method, url: u.href, phase, cause }));
+        req.destroy();
+      }
+
+      function onAbort() {
+        fail("ABORTED", "aborted", "response");
+      }
+
+      function cleanup() {
+        if (responseTimer) clearTimeout(responseTimer);
+        if (connectTimer) clearTimeout(connectTimer);
+        if (signal) signal.removeEventListener("abort", onAbort);
+      }
+
+      let agent;
+      try {
+        agent = agentFor(u, tls);
+      } catch (e) {
+        reject(new HttpError(`${label}: TLS setup failed: ${e.message}`, { code: "TLS", method, url: u.href, phase: "connect", cause: e }));
+        return;
+      }
+
+      const req = (u.protocol === "https:" ? https : http).request(
+        {
+          protocol: u.protocol,
+          hostname: u.hostname,
+          port: u.port || (u.protocol === "https:" ? 443 : 80),
+          path: u.pathname + (u.search || ""),
+          method,
+          headers: { ...headers, ...(body ? { "Content-Length": body.length } : {}) },
+          agent,
+        },
+        (res) => {
+          const chunks = [];
+          let size = 0;
+          res.on("data", (d) => {
+            size += d.length;
+            if (size > maxBytes) return fail("TOO_LARGE", `response larger than ${maxBytes} bytes`, "response");
+            chunks.push(d);
+          });
+          res.on("error", (err) => fail(errorCode(err), err.message, "response", err));
+          res.on("end", () => {
+            if (settled) return;
+            settled = true;
+            cleanup();
+            const bodyText = Buffer.concat(chunks).toString("utf8");
+            let bodyJson = null;
+            try { bodyJson = JSON.parse(bodyText); } catch (_) {}
+            resolve({ status: res.statusCode, headers: res.headers, bodyText, bodyJson });
+          });
+        }
+      );
+
+      req.on("error", (err) => {
+        const code = errorCode(err);
+        fail(code, err.message, connected && code !== "TLS" ? "response" : "connect", err);
+      });
+      req.on("socket", (socket) => {
+        // Pooled sockets are already connected.
+        if (!socket.connecting) {
+          connected = true;
+          return;
+        }
+        connectTimer = setTimeout(() => fail("CONNECT_TIMEOUT", `no connection within ${connectTimeoutMs} ms`, "connect"), connectTimeoutMs);
+        socket.once("connect", () => {
+          connected = true;
+          clearTimeout(connectTimer);
+          connectTimer = null;
+        });
+      });
+      responseTimer = setTimeout(() => fail("RESPONSE_TIMEOUT", `no complete response within ${responseTimeoutMs} ms`, "response"), responseTimeoutMs);
+
+      if (signal) {
+        if (signal.aborted) return onAbort();
+        signal.addEventListener("abort", onAbort);
+      }
+      if (body) req.write(body);
+      req.end();
+    });
+  }
+
+  // Send a request and follow redirects. Resolves { status, headers, bodyText,
+  // bodyJson, url, redirects } for any HTTP status; rejects with HttpError.
+  async function request({ url, method = "GET", query, json, body, headers, signal, timeoutMs, connectTimeoutMs, maxBytes, maxRedirects, tls } = {}) {
+    method = String(method || "GET").toUpperCase();
+    let u;
+    try {
+      u = new URL(url);
+    } catch (_) {
+      throw new HttpError(`Invalid URL "${url}"`, { code: "BAD_URL", method, url });
+    }
+    if (u.protocol !== "http:" && u.protocol !== "https:") throw new HttpError(`Unsupported protocol in "${url}"`, { code: "BAD_URL", method, url });
+
+    if (query && typeof query === "object") {
+      for (const [k, v] of Object.entries(query)) {
+        if (v === undefined || v === null) continue;
+        u.searchParams.set(k, String(v));
+      }
+    }
+
+    let payload = null;
+    let outHeaders = { ...(headers || {}) };
+    if (json !== undefined) {
+      payload = Buffer.from(JSON.stringify(json), "utf-8");
+      outHeaders = { "Content-Type": "application/json", ...outHeaders };
+    } else if (body !== undefined && body !== null) {
+      payload = Buffer.isBuffer(body) ? body : Buffer.from(String(body), "utf-8");
+    }
+
+    const limits = {
+      signal,
+      connectTimeoutMs: connectTimeoutMs || config.connectTimeoutMs,
+      responseTimeoutMs: timeoutMs || config.responseTimeoutMs,
+      maxBytes: maxBytes || config.maxBytes,
+    };
+    const redirectLimit = maxRedirects ?? config.maxRedirects;
+
+    for (let redirects = 0; ; redirects++) {
+      const res = await exchange(u, { ...limits, method, headers: outHeaders, body: payload, tls: tlsFor(u, tls) });
+      if (!REDIRECT_STATUSES.includes(res.status) || !res.headers.location) return { ...res, url: u.href, redirects };
+
+      if (redirects >= redirectLimit) {
+        throw new HttpError(`${method} ${u.href}: more than ${redirectLimit} redirects`, { code: "TOO_MANY_REDIRECTS", method, url: u.href, status: res.status, phase: "redirect" });
+      }
+      let next;
+      try {
+        next = new URL(res.headers.location, u);
+      } catch (e) {
+        throw new HttpError(`${method} ${u.href}: invalid redirect location "${res.headers.location}"`, { code: "BAD_URL", method, url: u.href, status: res.status, phase: "redirect", cause: e });
+      }
+      if (next.protocol !== "http:" && next.protocol !== "https:") {
+        throw new HttpError(`${method} ${u.href}: unsupported protocol in redirect to "${next.href}"`, { code: "BAD_URL", method, url: u.href, status: res.status, phase: "redirect" });
+      }
+      // Credentials stay with the origin they were meant for.
+      if (next.origin !== u.origin) {
+        outHeaders = Object.fromEntries(Object.entries(outHeaders).filter(([k]) => !/^(authorization|cookie)$/i.test(k)));
+      }
+      // 303 (and 301/302 after a POST, as browsers do) continue as a GET without a body.
+      if (res.status === 303 || ((res.status === 301 || res.status === 302) && method === "POST")) {
+        method = "GET";
+        payload = null;
+        outHeaders = Object.fromEntries(Object.entries(outHeaders).filter(([k]) => !/^content-/i.test(k)));
+      }
+      u = next;
+    }
+  }
+
+  return {
+    request,
+    configure(opts) {
+      config = { ...config, ...opts };
+      // TLS settings may have changed: build new agents on the next request.
+      for (const agent of httpsAgents.values()) agent.destroy();
+      httpsAgents.clear();
+    },
+    close() {
+      if (httpAgent) httpAgent.destroy();
+      httpAgent = null;
+      for (const agent of httpsAgents.values()) agent.destroy();
+      httpsAgents.clear();
+    },
+  };
+}
+
+module.exports = { createHttpClient, HttpError };
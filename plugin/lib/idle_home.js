@@ -0,0 +1,77 @@
+"use strict";
+
+// Per-display idle timers. Each configured display calls onExpire(displayId,
+// home) once after home.idleMs without activity (a key press for it, or a
+// screen change); the next activity starts a new countdown. While suspended
+// no timer runs, and resuming starts every countdown afresh.
+function createIdleHome({ onExpire }) {
+  // displayId -> { dashboardId, dashboardName, idleMs }
+  let homes = {};
+  const lastActivity = {};
+  const timers = {};
+  let suspended = false;
+
+  function clear(displayId) {
+    if (timers[displayId]) clearTimeout(timers[displayId]);
+    delete timers[displayId];
+  }
+
+  function arm(displayId) {
+    clear(displayId);
+    const home = homes[displayId];
+    if (!home || suspended) return;
+    const wait = Math.max(0, lastActivity[displayId] + home.idleMs - Date.now());
+    timers[displayId] = setTimeout(() => {
+      delete timers[displayId];
+      try { onExpire(displayId, home); } catch (_) {}
+    }, wait);
+  }
+
+  return {
+    // Set the homes of the displays KIP lists now; unchanged ones keep their countdown.
+    configure(next) {
+      const prev = homes;
+      homes = next;
+      for (const id of Object.keys(prev)) if (!next[id]) clear(id);
+      for (const [id, home] of Object.entries(next)) {
+        if (prev[id] && JSON.stringify(prev[id]) === JSON.stringify(home)) continue;
+        if (!lastActivity[id]) lastActivity[id] = Date.now();
+        arm(id);
+      }
+    },
+    activity(displayId) {
+      lastActivity[displayId] = Date.now();
+      if (homes[displayId]) arm(displayId);
+    },
+    setSuspended(on) {
+      suspended = !!on;
+      for (const id of Object.keys(homes)) {
+        if (!suspended) lastActivity[id] = Date.now();
+        arm(id);
+      }
+    },
+    isSuspended: () => suspended,
+    view() {
+      const now = Date.now();
+      return {
+        suspended,
+        displays: Object.entries(homes).map(([displayId, h]) => ({
+          displayId,
+          homeDashboardId: h.dashboardId,
+          homeDashboardName: h.dashboardName,
+          idleSec: h.idleMs / 1000,
+          lastActivityAt: lastActivity[displayId] ? new Date(lastActivity[displayId]).toISOString() : null,
+          // Null while no countdown runs (suspended, or already expired).
+          remainingSec: timers[displayId] ? Math.max(0, Math.ceil((lastActivity[displayId] + h.idleMs - now) / 1000)) : null,
+        })),
+      };
+    },
+    stop() {
+      for (const id of Object.keys(timers)) clear(id);
+      for (const id of Object.keys(lastActivity)) delete lastActivity[id];
+      homes = {};
+    },
+  };
+}
+
+module.exports = { createIdleHome };
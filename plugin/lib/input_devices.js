@@ -0,0 +1,106 @@
+"use strict";
+const fs = require("fs");
+const path = require("path");
+
+const PROC_DEVICES = "/proc/bus/input/devices";
+const SYS_INPUT = "/sys/class/input";
+const DEV_INPUT = "/dev/input";
+const BY_ID = "/dev/input/by-id";
+
+// Parse /proc/bus/input/devices into one entry per input device.
+function parseProcDevices(text) {
+  const devices = [];
+  for (const block of String(text || "").split(/\n\s*\n/)) {
+    const dev = { name: "", vendor: "", product: "", phys: "", uniq: "", handlers: [], eventPaths: [] };
+    for (const line of block.split("\n")) {
+      const m = /^([A-Z]):\s*(.*)$/.exec(line.trim());
+      if (!m) continue;
+      const [, tag, rest] = m;
+      if (tag === "I") {
+        dev.vendor = (/Vendor=([0-9a-fA-F]+)/.exec(rest) || [])[1] || "";
+        dev.product = (/Product=([0-9a-fA-F]+)/.exec(rest) || [])[1] || "";
+      } else if (tag === "N") {
+        dev.name = (/Name="(.*)"/.exec(rest) || [])[1] || "";
+      } else if (tag === "P") {
+        dev.phys = (/Phys=(.*)/.exec(rest) || [])[1] || "";
+      } else if (tag === "U") {
+        dev.uniq = (/Uniq=(.*)/.exec(rest) || [])[1] || "";
+      } else if (tag === "H") {
+        dev.handlers = ((/Handlers=(.*)/.exec(rest) || [])[1] || "").trim().split(/\s+/).filter(Boolean);
+      }
+    }
+    dev.eventPaths = dev.handlers.filter((h) => /^event\d+$/.test(h)).map((h) => path.join(DEV_INPUT, h));
+    if (dev.name || dev.eventPaths.length) devices.push(dev);
+  }
+  return devices;
+}
+
+// Fallback when /proc is not readable: one entry per /sys/class/input/eventN.
+function readSysDevices(sysDir = SYS_INPUT) {
+  const read = (p) => {
+    try { return fs.readFileSync(p, "utf-8").trim(); } catch (_) { return ""; }
+  };
+  let names = [];
+  try { names = fs.readdirSync(sysDir).filter((n) => /^event\d+$/.test(n)); } catch (_) {}
+  return names.map((n) => ({
+    name: read(path.join(sysDir, n, "device", "name")),
+    vendor: read(path.join(sysDir, n, "device", "id", "vendor")),
+    product: read(path.join(sysDir, n, "device", "id", "product")),
+    phys: read(path.join(sysDir, n, "device", "phys")),
+    uniq: read(path.join(sysDir, n, "device", "uniq")),
+    handlers: [n],
+    eventPaths: [path.join(DEV_INPUT, n)],
+  }));
+}
+
+// Map /dev/input/eventN -> [by-id link names].
+function readByIdLinks(byIdDir = BY_ID) {
+  const links = {};
+  let names = [];
+  try { names = fs.readdirSync(byIdDir); } catch (_) {}
+  for (const n of names) {
+    try {
+      const target = fs.realpathSync(path.join(byIdDir, n));
+      (links[target] = links[target] || []).push(n);
+    } catch (_) {}
+  }
+  return links;
+}
+
+// List input devices with their event nodes and /dev/input/by-id names.
+function listInputDevices({ procFile = PROC_DEVICES, sysDir = SYS_INPUT, byIdDir = BY_ID } = {}) {
+  let devices;
+  try {
+    devices = parseProcDevices(fs.readFileSync(procFile, "utf-8"));
+  } catch (_) {
+    devices = readSysDevices(sysDir);
+  }
+  const links = readByIdLinks(byIdDir);
+  for (const d of devices) d.byId = d.eventPaths.flatMap((p) => links[p] || []);
+  return devices;
+}
+
+function sameHex(a, b) {
+  return parseInt(a, 16) === parseInt(b, 16);
+}
+
+// Pick the event nodes of the devices that match every configured criterion.
+function matchInputDevices(devices, { namePattern, vendorId, productId, byIdPattern } = {}) {
+  if (!namePattern && !vendorId && !productId && !byIdPattern) return [];
+  let nameRe = null;
+  let byIdRe = null;
+  try { nameRe = namePattern ? new RegExp(namePattern, "i") : null; } catch (_) { nameRe = null; }
+  try { byIdRe = byIdPattern ? new RegExp(byIdPattern, "i") : null; } catch (_) { byIdRe = null; }
+
+  const out = [];
+  for (const d of devices) {
+    if (namePattern && !(nameRe && nameRe.test(d.name))) continue;
+    if (vendorId && !sameHex(d.vendor, vendorId)) continue;
+    if (productId && !sameHex(d.product, productId)) continue;
+    if (byIdPattern && !(byIdRe && (d.byId || []).some((n) => byIdRe.test(n)))) continue;
+    for (const p of d.eventPaths) out.push({ path: p, name: d.name });
+  }
+  return out;
+}
+
+module.exports = { listInputDevices, matchInputDevices, parseProcDevices, DEV_INPUT };
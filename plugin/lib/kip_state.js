@@ -0,0 +1,269 @@
+"use strict";
+
+const DISPLAYS_PATH = "/plugins/kip/displays";
+
+function displayPath(id, suffix = "") {
+  return `${DISPLAYS_PATH}/${encodeURIComponent(id)}${suffix}`;
+}
+
+function normalizeDisplayList(payload) {
+  if (Array.isArray(payload)) return payload;
+  if (payload && Array.isArray(payload.displays)) return payload.displays;
+  if (payload && Array.isArray(payload.items)) return payload.items;
+  return [];
+}
+
+function normalizeDisplayItem(item) {
+  // Normalize the incoming display id from multiple possible keys.
+  const id = String(item?.id || item?.displayId || item?.uuid || "").trim();
+  // Skip invalid display entries without an id.
+  if (!id) return null;
+  // Normalize a friendly name or fall back to the id.
+  const name = String(item?.name || item?.title || id);
+  // Return a normalized display object.
+  return { id, name };
+}
+
+function normalizeDisplays(payload) {
+  return normalizeDisplayList(payload).map((item) => normalizeDisplayItem(item)).filter(Boolean);
+}
+
+function normalizeDashboards(payload) {
+  let list = [];
+  if (Array.isArray(payload)) list = payload;
+  else if (payload && Array.isArray(payload.dashboards)) list = payload.dashboards;
+  else if (payload && Array.isArray(payload.items)) list = payload.items;
+  return list.map((item) => normalizeDashboardItem(item)).filter(Boolean);
+}
+
+function normalizeDashboardItem(item) {
+  // Normalize the incoming dashboard id from multiple possible keys.
+  const id = String(item?.id || item?.dashboardId || item?.uuid || "").trim();
+  // Skip invalid dashboard entries without an id.
+  if (!id) return null;
+  // Normalize a friendly name or fall back to the id.
+  const name = String(item?.name || item?.title || id);
+  // Preserve the icon if present on the payload.
+  const icon = item?.icon || null;
+  // Return a normalized dashboard object.
+  return { id, name, icon };
+}
+
+function normalizeScreenIndex(payload) {
+  if (Number.isFinite(payload)) return Number(payload);
+  if (payload && Number.isFinite(payload.screenIndex)) return Number(payload.screenIndex);
+  if (payload && Number.isFinite(payload.index)) return Number(payload.index);
+  if (payload && Number.isFinite(payload.activeScreen)) return Number(payload.activeScreen);
+  return null;
+}
+
+// Cached view of the KIP displays, their dashboards and active screens.
+// Displays are listed on a slow cadence and dashboards are only fetched for
+// displays that are new (or flagged by a delta); screen indexes are polled in
+// parallel, and only while no Signal K deltas from KIP have been seen lately.
+// While KIP is unreachable the poll interval doubles up to maxBackoffMs.
+// screenIndexes seeds the indexes (restored from the last run) until KIP answers.
+function createKipState({ get, post, onChange, timeoutMs = 3000, pollMs = 2000, displayCheckMs = 30000, deltaQuietMs = 30000, maxBackoffMs = 60000, screenIndexes: initialIndexes = {} }) {
+  let displays = [];
+  let dashboards = {};
+  let screenIndexes = { ...initialIndexes };
+  const dirtyDashboards = new Set();
+  let listCheckedAt = 0;
+  let lastDeltaAt = 0;
+  let reachable = null;
+  let lastError = null;
+  let lastErrorCode = null;
+  let failures = 0;
+  let nextPollAt = null;
+  let timer = null;
+  let stopped = true;
+  let inflight = null;
+  let hintTimer = null;
+
+  function changed() {
+    try { onChange(); } catch (_) {}
+  }
+
+  function setIndex(displayId, value) {
+    const idx = Number.isFinite(value) ? value : 0;
+    if (screenIndexes[displayId] === idx) return false;
+    screenIndexes[displayId] = idx;
+    return true;
+  }
+
+  async function fetchDashboards(ids) {
+    const results = await Promise.allSettled(ids.map((id) => get(displayPath(id), { timeoutMs })));
+    ids.forEach((id, i) => {
+      const r = results[i];
+      if (r.status === "fulfilled") {
+        dashboards[id] = normalizeDashboards(r.value);
+        dirtyDashboards.delete(id);
+      } else if (!dashboards[id]) {
+        // Keep the display usable and try again on the next list check.
+        dashboards[id] = [];
+        dirtyDashboards.add(id);
+      }
+    });
+  }
+
+  async function refreshDisplays({ force = false } = {}) {
+    const list = normalizeDisplays(await get(DISPLAYS_PATH, { timeoutMs }));
+    listCheckedAt = Date.now();
+    const before = displays.map((d) => d.id).join("\n");
+    const ids = list.map((d) => d.id);
+    const listChanged = before !== ids.join("\n") || list.some((d, i) => d.name !== displays[i]?.name);
+    displays = list;
+
+    // Forget displays that were removed from KIP.
+    for (const id of Object.keys(dashboards)) if (!ids.includes(id)) delete dashboards[id];
+    for (const id of Object.keys(screenIndexes)) if (!ids.includes(id)) delete screenIndexes[id];
+
+    const stale = ids.filter((id) => force || !dashboards[id] || dirtyDashboards.has(id));
+    if (stale.length) await fetchDashboards(stale);
+    return listChanged || stale.length > 0;
+  }
+
+  async function refreshScreenIndexes() {
+    const ids = displays.map((d) => d.id);
+    const results = await Promise.allSettled(ids.map((id) => get(displayPath(id, "/screenIndex"), { timeoutMs })));
+    let indexChanged = false;
+    ids.forEach((id, i) => {
+      const r = results[i];
+      if (r.status === "fulfilled") indexChanged = setIndex(id, normalizeScreenIndex(r.value)) || indexChanged;
+      else if (screenIndexes[id] == null) indexChanged = setIndex(id, 0) || indexChanged;
+    });
+    if (ids.length && results.every((r) => r.status === "rejected")) throw results[0].reason;
+    return indexChanged;
+  }
+
+  // One refresh at a time; concurrent callers share the running one.
+  function refresh({ force = false, indexes = true } = {}) {
+    if (inflight && force) return inflight.catch(() => {}).then(() => refresh({ force, indexes }));
+    if (inflight) return inflight;
+    const run = async () => {
+      try {
+        let any = false;
+        if (force || !displays.length || Date.now() - listCheckedAt >= displayCheckMs || dirtyDashboards.size) {
+          any = (await refreshDisplays({ force })) || any;
+        }
+        if (indexes) any = (await refreshScreenIndexes()) || any;
+        reachable = true;
+        lastError = null;
+        lastErrorCode = null;
+        failures = 0;
+        if (any) changed();
+      } catch (e) {
+        const wasReachable = reachable !== false;
+        reachable = false;
+        lastError = String(e?.message || e);
+        lastErrorCode = e?.code || null;
+        failures += 1;
+        if (wasReachable) changed();
+        throw e;
+      }
+    };
+    inflight = run().finally(() => {
+      inflight = null;
+    });
+    return inflight;
+  }
+
+  function deltasActive() {
+    return Date.now() - lastDeltaAt < deltaQuietMs;
+  }
+
+  function schedule(delay) {
+    if (stopped) return;
+    if (timer) clearTimeout(timer);
+    nextPollAt = new Date(Date.now() + delay).toISOString();
+    timer = setTimeout(tick, delay);
+  }
+
+  async function tick() {
+    timer = null;
+    try {
+      // With KIP sending deltas the screen indexes are kept current by them.
+      await refresh({ indexes: !deltasActive() });
+    } catch (_) {}
+    if (failures > 0) schedule(Math.min(maxBackoffMs, pollMs * 2 ** Math.min(failures, 16)));
+    else schedule(deltasActive() ? Math.min(displayCheckMs, deltaQuietMs) : pollMs);
+  }
+
+  // A delta we cannot map to a display still tells us something changed.
+  function hint() {
+    if (hintTimer || stopped) return;
+    hintTimer = setTimeout(() => {
+      hintTimer = null;
+      refresh().catch(() => {});
+    }, 250);
+  }
+
+  // Apply a Signal K delta value published under plugins.kip.
+  function handleDelta(path, value) {
+    const m = /^plugins\.kip\.displays\.([^.]+)(?:\.(.+))?$/.exec(String(path || ""));
+    if (!m) return hint();
+    const [, id, field] = m;
+    if (!displays.some((d) => d.id === id)) {
+      // A display we have not listed yet: re-read the display list.
+      listCheckedAt = 0;
+      return hint();
+    }
+    if (field === "dashboards") {
+      dirtyDashboards.add(id);
+      return hint();
+    }
+    if (!field || field === "screenIndex" || field === "activeScreen") {
+      const idx = normalizeScreenIndex(value);
+      if (Number.isFinite(idx)) {
+        // Only deltas that carry the screen index can stand in for polling it.
+        lastDeltaAt = Date.now();
+        if (setIndex(id, idx)) changed();
+        return;
+      }
+    }
+    hint();
+  }
+
+  async function setActiveScreen(displayId, dashboardId) {
+    // Tell KIP to change to the selected dashboard id.
+    await post(displayPath(displayId, "/activeScreen"), { changeId: dashboardId }, { timeoutMs });
+    // KIP accepted the change: record it instead of polling for it.
+    const idx = (dashboards[displayId] || []).findIndex((d) => d.id === dashboardId);
+    if (idx >= 0 && setIndex(displayId, idx)) changed();
+  }
+
+  return {
+    displays: () => displays,
+    dashboards: (displayId) => dashboards[displayId] || [],
+    // False while the dashboards of a display failed to load (the list is then empty, not known).
+    dashboardsLoaded: (displayId) => displayId in dashboards && !dirtyDashboards.has(displayId),
+    screenIndex: (displayId) => screenIndexes[displayId] ?? 0,
+    screenIndexes: () => ({ ...screenIndexes }),
+    refresh,
+    handleDelta,
+    setActiveScreen,
+    view: () => ({
+      reachable,
+      lastError,
+      lastErrorCode,
+      failures,
+      deltas: deltasActive(),
+      listCheckedAt: listCheckedAt ? new Date(listCheckedAt).toISOString() : null,
+      nextPollAt,
+    }),
+    start() {
+      stopped = false;
+      schedule(pollMs);
+    },
+    stop() {
+      stopped = true;
+      if (timer) clearTimeout(timer);
+      timer = null;
+      if (hintTimer) clearTimeout(hintTimer);
+      hintTimer = null;
+      nextPollAt = null;
+    },
+  };
+}
+
+module.exports = { createKipState, normalizeScreenIndex };
@@ -0,0 +1,112 @@
+"use strict";
+
+// Keys that drive the menu while it is open: arrows move the highlight, Enter picks.
+const MOVE_KEYS = { KEY_UP: -1, KEY_LEFT: -1, KEY_DOWN: +1, KEY_RIGHT: +1 };
+const SELECT_KEY = "KEY_ENTER";
+
+// Remote-driven menu: a list of items opened by one remote, walked with the
+// arrows and picked with Enter. It closes by itself after timeoutMs without a
+// key press. Items are opaque to the menu apart from their label; running the
+// picked item is up to the caller.
+function createMenu({ onChange }) {
+  let config = { timeoutMs: 15000 };
+  let items = [];
+  let open = false;
+  let index = 0;
+  let device = null;
+  let closesAt = null;
+  let lastSelected = null;
+  let timer = null;
+
+  function view() {
+    return {
+      open,
+      device,
+      items: open ? items.map((i) => i.label) : [],
+      index: open ? index : null,
+      highlighted: open ? items[index].label : null,
+      closesAt: closesAt ? new Date(closesAt).toISOString() : null,
+      lastSelected,
+    };
+  }
+
+  function changed() {
+    try { onChange(view()); } catch (_) {}
+  }
+
+  function armTimeout() {
+    if (timer) clearTimeout(timer);
+    closesAt = Date.now() + config.timeoutMs;
+    timer = setTimeout(() => close(), config.timeoutMs);
+  }
+
+  // Returns false when there is nothing to show.
+  function openMenu(list, dev) {
+    if (!list.length) return false;
+    items = list;
+    open = true;
+    index = 0;
+    device = dev;
+    armTimeout();
+    changed();
+    return true;
+  }
+
+  function close() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    closesAt = null;
+    if (!open) return;
+    open = false;
+    items = [];
+    device = null;
+    changed();
+  }
+
+  function move(dir) {
+    index = (index + dir + items.length) % items.length;
+    armTimeout();
+    changed();
+  }
+
+  // Close the menu and return the item at i (default: the highlighted one).
+  function select(i = index) {
+    if (!open || !Number.isInteger(i) || i < 0 || i >= items.length) return null;
+    const item = items[i];
+    lastSelected = item.label;
+    close();
+    return item;
+  }
+
+  return {
+    configure(opts) {
+      config = { ...config, ...opts };
+    },
+    isOpen: () => open,
+    owner: () => device,
+    open: openMenu,
+    close,
+    select,
+    handlesKey: (key) => open && (key in MOVE_KEYS || key === SELECT_KEY),
+    // Move on an arrow; on Enter return the picked item (null otherwise).
+    handleKey(key) {
+      if (!open) return null;
+      if (key in MOVE_KEYS) {
+        move(MOVE_KEYS[key]);
+        return null;
+      }
+      return key === SELECT_KEY ? select() : null;
+    },
+    view,
+    stop() {
+      if (timer) clearTimeout(timer);
+      timer = null;
+      closesAt = null;
+      open = false;
+      items = [];
+      device = null;
+    },
+  };
+}
+
+module.exports = { createMenu };
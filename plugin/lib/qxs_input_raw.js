@@ -1,7 +1,30 @@
 "use strict";
 const fs = require("fs");
-const EVENT_SIZE = 24;
+const EV_SYN = 0x00;
 const EV_KEY = 0x01;
+const EV_MAX = 0x1f;
+const SYN_REPORT = 0;
+const SYN_DROPPED = 3;
+
+// struct input_event layouts. On 64-bit kernels/userland struct timeval is two
+// 8-byte longs (24 bytes in total); 32-bit userland uses two 4-byte fields
+// (16 bytes). With a 64-bit time_t on 32-bit userland the kernel keeps the
+// 16-byte layout but the fields are unsigned, which keeps them valid past 2038.
+const LAYOUTS = {
+  "64bit": { size: 24, timeBytes: 8, unsignedTime: false },
+  "32bit": { size: 16, timeBytes: 4, unsignedTime: false },
+  "32bit-time64": { size: 16, timeBytes: 4, unsignedTime: true },
+};
+const LAYOUT_NAMES = ["auto", ...Object.keys(LAYOUTS)];
+
+// Read size that holds a whole number of events of either size.
+const READ_SIZE = 24 * 16;
+
+const ARCH_64 = ["x64", "arm64", "ppc64", "s390x", "riscv64", "loong64", "mips64el", "mips64"];
+
+function defaultLayoutName() {
+  return ARCH_64.includes(process.arch) ? "64bit" : "32bit";
+}
 
 function actionName(v) {
   if (v === 0) return "up";
@@ -24,36 +47,133 @@ const KEY_MAP = {
 };
 
 function typeName(t) {
+  if (t === EV_SYN) return "EV_SYN";
   if (t === EV_KEY) return "EV_KEY";
   return "EV_" + t;
 }
 
-function startReading(devPath, onEvent) {
+function codeName(type, code) {
+  if (type === EV_SYN) return code === SYN_DROPPED ? "SYN_DROPPED" : code === SYN_REPORT ? "SYN_REPORT" : `SYN_${code}`;
+  return KEY_MAP[code] || `KEY_${code}`;
+}
+
+function decodeEvent(buf, offset, layout) {
+  const { timeBytes, unsignedTime } = layout;
+  let sec;
+  let usec;
+  if (timeBytes === 8) {
+    sec = Number(buf.readBigInt64LE(offset));
+    usec = Number(buf.readBigInt64LE(offset + 8));
+  } else if (unsignedTime) {
+    sec = buf.readUInt32LE(offset);
+    usec = buf.readUInt32LE(offset + 4);
+  } else {
+    sec = buf.readInt32LE(offset);
+    usec = buf.readInt32LE(offset + 4);
+  }
+  const base = offset + timeBytes * 2;
+  const type = buf.readUInt16LE(base);
+  const code = buf.readUInt16LE(base + 2);
+  const value = buf.readInt32LE(base + 4);
+  const time = sec * 1000 + usec / 1000;
+  return {
+    type,
+    typeName: typeName(type),
+    code,
+    codeName: codeName(type, code),
+    value,
+    action: actionName(value),
+    time,
+    timestamp: new Date(time).toISOString(),
+  };
+}
+
+// A chunk fits a layout when it holds whole events with sane types and its
+// last event closes a packet (every evdev packet ends with SYN_REPORT).
+function fitsLayout(buf, layout) {
+  if (buf.length === 0 || buf.length % layout.size !== 0) return false;
+  for (let off = 0; off < buf.length; off += layout.size) {
+    const type = buf.readUInt16LE(off + layout.timeBytes * 2);
+    if (type > EV_MAX) return false;
+  }
+  const last = decodeEvent(buf, buf.length - layout.size, layout);
+  return last.type === EV_SYN;
+}
+
+function detectLayoutName(buf, guess) {
+  if (fitsLayout(buf, LAYOUTS[guess])) return guess;
+  const other = LAYOUTS[guess].size === 24 ? "32bit" : "64bit";
+  return fitsLayout(buf, LAYOUTS[other]) ? other : guess;
+}
+
+// Read input events from devPath. A read error (e.g. the device vanished) or
+// end of file closes the reader and is reported once through onError.
+// options.layout picks the struct input_event layout ("auto" detects it from
+// the first events read, starting from the platform default).
+function startReading(devPath, onEvent, onError, options = {}) {
   const fd = fs.openSync(devPath, "r");
   let stopped = false;
-  const buf = Buffer.alloc(EVENT_SIZE);
+  const buf = Buffer.alloc(READ_SIZE);
+  const auto = !LAYOUTS[options.layout];
+  let layoutName = auto ? defaultLayoutName() : options.layout;
+  let detected = !auto;
+  let pending = Buffer.alloc(0);
+  // After SYN_DROPPED everything up to the next SYN_REPORT is incomplete.
+  let dropping = false;
+
+  function emit(evt) {
+    try { onEvent(evt); } catch (_) {}
+  }
+
+  function consume(chunk) {
+    if (!detected) {
+      layoutName = detectLayoutName(chunk, layoutName);
+      detected = true;
+    }
+    const layout = LAYOUTS[layoutName];
+    // Carry a partial event over to the next read.
+    pending = pending.length ? Buffer.concat([pending, chunk]) : Buffer.from(chunk);
+    let off = 0;
+    for (; off + layout.size <= pending.length; off += layout.size) {
+      const evt = decodeEvent(pending, off, layout);
+      if (evt.type > EV_MAX) {
+        // Out of step with the event boundaries: drop what we hold and resync
+        // on the next packet.
+        pending = Buffer.alloc(0);
+        dropping = true;
+        return;
+      }
+      if (evt.type === EV_SYN && evt.code === SYN_DROPPED) {
+        dropping = true;
+        emit(evt);
+        continue;
+      }
+      if (dropping) {
+        if (evt.type === EV_SYN && evt.code === SYN_REPORT) dropping = false;
+        continue;
+      }
+      emit(evt);
+    }
+    pending = pending.subarray(off);
+  }
 
   function loop() {
     if (stopped) return;
-    fs.read(fd, buf, 0, EVENT_SIZE, null, (err, n) => {
+    fs.read(fd, buf, 0, READ_SIZE, null, (err, n) => {
       if (stopped) return;
-      if (err) throw err;
-      if (n !== EVENT_SIZE) return setImmediate(loop);
-
-      const type = buf.readUInt16LE(16);
-      const code = buf.readUInt16LE(18);
-      const value = buf.readInt32LE(20);
-
-      const evt = {
-        type,
-        typeName: typeName(type),
-        code,
-        codeName: KEY_MAP[code] || `KEY_${code}`,
-        value,
-        action: actionName(value),
-      };
-
-      try { onEvent(evt); } catch (_) {}
+      // An event device never ends; EOF means it is not one (or is gone), and
+      // reading on would spin.
+      if (!err && n === 0) {
+        err = new Error(`${devPath}: end of file`);
+        err.code = "EOF";
+      }
+      if (err) {
+        stopped = true;
+        try { fs.closeSync(fd); } catch (_) {}
+        if (onError) onError(err);
+        return;
+      }
+      consume(buf.subarray(0, n));
       setImmediate(loop);
     });
   }
@@ -61,6 +181,7 @@ function startReading(devPath, onEvent) {
   loop();
 
   return {
+    layout: () => layoutName,
     stop: () => {
       stopped = true;
       try { fs.closeSync(fd); } catch (_) {}
@@ -68,4 +189,4 @@ function startReading(devPath, onEvent) {
   };
 }
 
-module.exports = { startReading, KEY_MAP };
+module.exports = { startReading, KEY_MAP, LAYOUT_NAMES, decodeEvent, LAYOUTS };
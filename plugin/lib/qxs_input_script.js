@@ -0,0 +1,167 @@
+"use strict";
+const fs = require("fs");
+const net = require("net");
+const { KEY_MAP } = require("./qxs_input_raw");
+
+const EV_KEY = 0x01;
+const ACTION_VALUES = { up: 0, down: 1, repeat: 2 };
+const CODE_BY_NAME = Object.fromEntries(Object.entries(KEY_MAP).map(([code, name]) => [name, Number(code)]));
+
+// Build an event with the same shape as the ones decoded from /dev/input.
+function makeKeyEvent(key, action, time = Date.now()) {
+  const codeName = String(key);
+  const numeric = /^KEY_(\d+)$/.exec(codeName);
+  const code = CODE_BY_NAME[codeName] ?? (numeric ? Number(numeric[1]) : 0);
+  return {
+    type: EV_KEY,
+    typeName: "EV_KEY",
+    code,
+    codeName,
+    value: ACTION_VALUES[action],
+    action,
+    time,
+    timestamp: new Date(time).toISOString(),
+    simulated: true,
+  };
+}
+
+// Parse one script step. Accepted forms:
+//   KEY_NEXTSONG down 120     (key, action, delay in ms before the event)
+//   KEY_NEXTSONG press        (down then up)
+//   {"key":"KEY_NEXTSONG","action":"down","delay":120}
+function parseStep(item) {
+  if (typeof item === "string") {
+    const line = item.trim();
+    if (!line || line.startsWith("#")) return [];
+    if (line.startsWith("{")) return parseStep(JSON.parse(line));
+    const [key, action = "press", delay = "0"] = line.split(/\s+/);
+    return parseStep({ key, action, delay });
+  }
+  const key = String(item?.key || "").trim();
+  const action = String(item?.action || "press");
+  const delay = Math.max(0, Number(item?.delay ?? item?.delayMs) || 0);
+  if (!/^KEY_\w+$/.test(key)) throw new Error(`Invalid key "${key}"`);
+  if (action === "press") return [{ key, action: "down", delay }, { key, action: "up", delay: 0 }];
+  if (!(action in ACTION_VALUES)) throw new Error(`Invalid action "${action}" for ${key}`);
+  return [{ key, action, delay }];
+}
+
+// Parse a whole script: text (one step per line), or an array of steps.
+function parseScript(input) {
+  const items = Array.isArray(input) ? input : String(input || "").split(/\r?\n/);
+  const steps = [];
+  items.forEach((item, i) => {
+    try {
+      steps.push(...parseStep(item));
+    } catch (e) {
+      throw new Error(`Script step ${i + 1}: ${e.message}`);
+    }
+  });
+  return steps;
+}
+
+// Serialize recorded events ({ key, action, at }) into script text.
+function formatScript(events) {
+  let prev = null;
+  return events
+    .map((e) => {
+      const delay = prev == null ? 0 : Math.max(0, Math.round(e.at - prev));
+      prev = e.at;
+      return `${e.key} ${e.action} ${delay}`;
+    })
+    .join("\n");
+}
+
+// Feed the steps to onEvent with their delays. Returns { stop, done }.
+function runScript(steps, onEvent, { loop = false } = {}) {
+  let stopped = false;
+  let timer = null;
+  let resolveDone;
+  const done = new Promise((resolve) => (resolveDone = resolve));
+
+  function next(i) {
+    if (stopped) return;
+    if (i >= steps.length) {
+      if (!loop || steps.length === 0) {
+        resolveDone();
+        return;
+      }
+      i = 0;
+    }
+    const step = steps[i];
+    timer = setTimeout(() => {
+      timer = null;
+      if (stopped) return;
+      try { onEvent(makeKeyEvent(step.key, step.action)); } catch (_) {}
+      next(i + 1);
+    }, step.delay);
+  }
+
+  next(0);
+
+  return {
+    done,
+    stop: () => {
+      stopped = true;
+      if (timer) clearTimeout(timer);
+      timer = null;
+      resolveDone();
+    },
+  };
+}
+
+// Play a script file, optionally in a loop.
+function startScriptFile(filePath, onEvent, { loop = false } = {}) {
+  const steps = parseScript(fs.readFileSync(filePath, "utf-8"));
+  return runScript(steps, onEvent, { loop });
+}
+
+// Read script lines written to a FIFO (e.g. `echo "KEY_NEXTSONG press" > fifo`).
+// The FIFO is opened read-write and non-blocking: opening never waits for a
+// writer, writers closing it do not end the stream, and no thread-pool thread
+// is parked on a blocking read.
+function startFifo(fifoPath, onEvent, onError) {
+  let stopped = false;
+  let running = null;
+  let rest = "";
+  // Lines play in the order they were written; each batch waits for the last.
+  let queue = Promise.resolve();
+
+  function enqueue(lines) {
+    let steps;
+    try {
+      steps = parseScript(lines);
+    } catch (e) {
+      if (onError) onError(e);
+      return;
+    }
+    queue = queue.then(() => {
+      if (stopped) return;
+      running = runScript(steps, onEvent);
+      return running.done;
+    });
+  }
+
+  if (!fs.statSync(fifoPath).isFIFO()) throw new Error(`${fifoPath} is not a FIFO`);
+  const fd = fs.openSync(fifoPath, fs.constants.O_RDWR | fs.constants.O_NONBLOCK);
+  const socket = new net.Socket({ fd, readable: true, writable: false });
+  socket.setEncoding("utf-8");
+  socket.on("data", (chunk) => {
+    const lines = (rest + chunk).split(/\r?\n/);
+    rest = lines.pop();
+    enqueue(lines);
+  });
+  socket.on("error", (err) => {
+    if (onError) onError(err);
+  });
+
+  return {
+    stop: () => {
+      stopped = true;
+      if (running) running.stop();
+      socket.destroy();
+    },
+  };
+}
+
+module.exports = { makeKeyEvent, parseScript, formatScript, runScript, startScriptFile, startFifo };
@@ -0,0 +1,152 @@
+"use strict";
+const { normalizeCapture } = require("./capture");
+
+const METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE", "HEAD"];
+const BODY_TYPES = ["json", "form", "text", "none"];
+const AUTH_TYPES = ["none", "basic", "bearer"];
+const SECRET_MASK = "********";
+
+// Header names whose values are credentials.
+const SECRET_HEADER = /^(authorization|proxy-authorization|cookie|x-api-key|x-auth-token|api-key)$/i;
+
+// Headers come as { name: value } or as [{ name, value }] (the settings form).
+function normalizeHeaders(input) {
+  const out = {};
+  const entries = Array.isArray(input) ? input.map((h) => [h?.name, h?.value]) : input && typeof input === "object" ? Object.entries(input) : [];
+  for (const [name, value] of entries) {
+    const n = String(name || "").trim();
+    if (!n || value === undefined || value === null) continue;
+    out[n] = String(value);
+  }
+  return out;
+}
+
+function normalizeAuth(src) {
+  const type = AUTH_TYPES.includes(src?.type) ? src.type : "none";
+  if (type === "basic") return { type, username: String(src.username || ""), password: String(src.password || "") };
+  if (type === "bearer") return { type, token: String(src.token || "") };
+  return { type };
+}
+
+// "2xx", "200,204", "200-299" or [200, 204]; empty means any 2xx.
+function normalizeExpectStatus(input) {
+  const parts = Array.isArray(input) ? input : String(input ?? "").split(",");
+  return parts.map((p) => String(p).trim()).filter((p) => /^(\d{3}|[1-5]xx|\d{3}-\d{3})$/i.test(p)).map((p) => p.toLowerCase());
+}
+
+function statusMatches(status, expect) {
+  const list = expect && expect.length ? expect : ["2xx"];
+  return list.some((p) => {
+    if (/^[1-5]xx$/.test(p)) return Math.floor(status / 100) === Number(p[0]);
+    if (p.includes("-")) {
+      const [lo, hi] = p.split("-").map(Number);
+      return status >= lo && status <= hi;
+    }
+    return status === Number(p);
+  });
+}
+
+// Build a rest action from settings fields (flat, or under a nested action).
+function normalizeRestAction(item) {
+  const a = item?.action && typeof item.action === "object" ? item.action : {};
+  const pick = (k) => (item[k] !== undefined ? item[k] : a[k]);
+
+  const method = String(pick("method") || "GET").toUpperCase();
+  const params = pick("params");
+  // A raw text body (settings form) replaces the body fields.
+  const body = typeof pick("bodyText") === "string" && pick("bodyText") !== "" ? pick("bodyText") : pick("body");
+  const auth = pick("auth") && typeof pick("auth") === "object" ? pick("auth") : { type: pick("authType"), username: pick("username"), password: pick("password"), token: pick("token") };
+  const timeoutMs = Number(pick("timeoutMs")) > 0 ? Number(pick("timeoutMs")) : undefined;
+
+  return {
+    type: "rest",
+    url: String(pick("url") || "").trim(),
+    path: String(pick("path") || "").trim(),
+    method: METHODS.includes(method) ? method : "GET",
+    params: params && typeof params === "object" ? params : {},
+    headers: normalizeHeaders(pick("headers")),
+    auth: normalizeAuth(auth),
+    bodyType: BODY_TYPES.includes(pick("bodyType")) ? pick("bodyType") : "json",
+    body: body !== undefined ? body : {},
+    expectStatus: normalizeExpectStatus(pick("expectStatus")),
+    timeoutMs,
+    capture: normalizeCapture({ capture: pick("capture"), captureFrom: pick("captureFrom"), captureExpr: pick("captureExpr"), capturePath: pick("capturePath") }),
+  };
+}
+
+function authHeader(auth) {
+  if (auth?.type === "basic") return "Basic " + Buffer.from(`${auth.username || ""}:${auth.password || ""}`, "utf-8").toString("base64");
+  if (auth?.type === "bearer" && auth.token) return `Bearer ${auth.token}`;
+  return null;
+}
+
+function hasHeader(headers, name) {
+  return Object.keys(headers).some((k) => k.toLowerCase() === name.toLowerCase());
+}
+
+// Turn a rest action into http_client request options (without the url).
+function buildRestRequest(action) {
+  const method = METHODS.includes(action.method) ? action.method : "GET";
+  const headers = { ...normalizeHeaders(action.headers) };
+  const auth = authHeader(action.auth);
+  if (auth && !hasHeader(headers, "Authorization")) headers.Authorization = auth;
+
+  const req = { method, query: action.params, headers, timeoutMs: action.timeoutMs };
+  const bodyType = action.bodyType || "json";
+  // GET and HEAD never carry a body; the other methods send one unless bodyType is none.
+  if (method === "GET" || method === "HEAD" || bodyType === "none") return req;
+
+  const body = action.body;
+  if (bodyType === "json") {
+    req.json = body ?? {};
+  } else if (bodyType === "form") {
+    const form = typeof body === "string" ? body : new URLSearchParams(Object.entries(body || {}).map(([k, v]) => [k, String(v)])).toString();
+    if (!hasHeader(headers, "Content-Type")) headers["Content-Type"] = "application/x-www-form-urlencoded";
+    req.body = form;
+  } else {
+    if (!hasHeader(headers, "Content-Type")) headers["Content-Type"] = "text/plain; charset=utf-8";
+    req.body = typeof body === "string" ? body : body == null ? "" : JSON.stringify(body);
+  }
+  return req;
+}
+
+// Copy of an action (including sequence steps and if/else branches) with credentials masked.
+function redactAction(action) {
+  if (!action || typeof action !== "object") return action;
+  if (Array.isArray(action)) return action.map(redactAction);
+  const out = { ...action };
+  if (out.auth && typeof out.auth === "object") {
+    out.auth = { ...out.auth };
+    if (out.auth.password) out.auth.password = SECRET_MASK;
+    if (out.auth.token) out.auth.token = SECRET_MASK;
+  }
+  if (out.headers && typeof out.headers === "object" && !Array.isArray(out.headers)) {
+    out.headers = Object.fromEntries(Object.entries(out.headers).map(([k, v]) => [k, SECRET_HEADER.test(k) ? SECRET_MASK : v]));
+  }
+  if (Array.isArray(out.steps)) out.steps = out.steps.map(redactAction);
+  if (out.then) out.then = redactAction(out.then);
+  if (out.else) out.else = redactAction(out.else);
+  return out;
+}
+
+// Put back the stored credentials where an edited action (read through the
+// API, so masked) still carries the mask.
+function restoreSecrets(action, stored) {
+  if (!action || typeof action !== "object" || !stored || typeof stored !== "object") return action;
+  const out = { ...action };
+  if (out.auth && stored.auth) {
+    out.auth = { ...out.auth };
+    if (out.auth.password === SECRET_MASK) out.auth.password = stored.auth.password;
+    if (out.auth.token === SECRET_MASK) out.auth.token = stored.auth.token;
+  }
+  if (out.headers && typeof out.headers === "object" && !Array.isArray(out.headers)) {
+    const old = stored.headers || {};
+    out.headers = Object.fromEntries(Object.entries(out.headers).map(([k, v]) => [k, v === SECRET_MASK && k in old ? old[k] : v]));
+  }
+  if (Array.isArray(out.steps)) out.steps = out.steps.map((step, i) => restoreSecrets(step, stored.steps?.[i]));
+  if (out.then) out.then = restoreSecrets(out.then, stored.then);
+  if (out.else) out.else = restoreSecrets(out.else, stored.else);
+  return out;
+}
+
+module.exports = { METHODS, BODY_TYPES, AUTH_TYPES, SECRET_MASK, normalizeRestAction, buildRestRequest, statusMatches, redactAction, restoreSecrets };
@@ -0,0 +1,46 @@
+"use strict";
+
+function normalizeReply(reply) {
+  const state = String(reply?.state || "FAILED").toUpperCase();
+  const statusCode = reply?.statusCode != null && Number.isFinite(Number(reply.statusCode)) ? Number(reply.statusCode) : null;
+  const message = reply?.message != null ? String(reply.message) : null;
+  // COMPLETED only means the handler finished; the status code says whether it worked.
+  const ok = state === "COMPLETED" && (statusCode == null || (statusCode >= 200 && statusCode < 300));
+  return { state: state === "COMPLETED" && !ok ? "FAILED" : state, statusCode, message, ok };
+}
+
+// Issue a Signal K PUT on a vessels.self path and wait for the handler's final
+// result. A PENDING reply is followed through the update callback until it is
+// COMPLETED or FAILED, or the timeout expires.
+function putAndWait(app, skPath, value, { timeoutMs = 5000 } = {}) {
+  return new Promise((resolve) => {
+    if (!app || typeof app.putSelfPath !== "function") {
+      resolve({ state: "FAILED", statusCode: 501, message: "PUT is not supported by this server", ok: false });
+      return;
+    }
+
+    let done = false;
+    const finish = (reply) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      resolve(normalizeReply(reply));
+    };
+    const timer = setTimeout(() => {
+      finish({ state: "FAILED", statusCode: 504, message: `No PUT result within ${timeoutMs} ms` });
+    }, timeoutMs);
+    const onReply = (reply) => {
+      if (reply && String(reply.state).toUpperCase() !== "PENDING") finish(reply);
+    };
+
+    try {
+      Promise.resolve(app.putSelfPath(skPath, value, onReply)).then(onReply, (err) => {
+        finish({ state: "FAILED", statusCode: 500, message: String(err?.message || err) });
+      });
+    } catch (err) {
+      finish({ state: "FAILED", statusCode: 500, message: String(err?.message || err) });
+    }
+  });
+}
+
+module.exports = { putAndWait };
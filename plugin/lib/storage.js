@@ -1,6 +1,44 @@
 "use strict";
 const fs = require("fs");
 const path = require("path");
+const { normalizeSlot } = require("./validate_action");
+
+const STATE_VERSION = 3;
+
+// Migrations by the version they upgrade from; each returns the state at version + 1.
+const MIGRATIONS = {
+  // Unversioned files stored a single Play action per dashboard.
+  0: (state) => {
+    const bindings = state.bindings && typeof state.bindings === "object" ? state.bindings : {};
+    for (const m of Object.values(bindings)) {
+      for (const [dashId, entry] of Object.entries(m || {})) {
+        if (entry && typeof entry.type === "string") m[dashId] = { actions: { play: entry } };
+      }
+    }
+    return { ...state, bindings, navigation: state.navigation || {} };
+  },
+  // Slots now record their origin; older ones cannot tell settings from runtime edits.
+  1: (state) => {
+    for (const m of Object.values(state.bindings || {})) {
+      for (const entry of Object.values(m || {})) {
+        if (entry?.actions && !entry.origins) entry.origins = Object.fromEntries(Object.keys(entry.actions).map((slot) => [slot, "legacy"]));
+      }
+    }
+    return state;
+  },
+  // Slot names are normalized: chord keys sorted, no ":short" suffix.
+  2: (state) => {
+    const rename = (map) => Object.fromEntries(Object.entries(map).map(([slot, v]) => [normalizeSlot(slot) || slot, v]));
+    for (const m of Object.values(state.bindings || {})) {
+      for (const entry of Object.values(m || {})) {
+        if (!entry?.actions) continue;
+        entry.actions = rename(entry.actions);
+        if (entry.origins) entry.origins = rename(entry.origins);
+      }
+    }
+    return state;
+  },
+};
 
 function getDataDir(app) {
   if (app && typeof app.getDataDirPath === "function") return app.getDataDirPath();
@@ -13,15 +51,89 @@ function getStateFile(app) {
   return path.join(dir, "state.json");
 }
 
+function migrate(state) {
+  let s = state;
+  for (let v = Number(s.version) || 0; v < STATE_VERSION; v++) s = { ...MIGRATIONS[v](s), version: v + 1 };
+  return s;
+}
+
+// Read and check one state file. Returns { state }, { missing } or { error }.
+function readStateFile(f) {
+  let text;
+  try {
+    text = fs.readFileSync(f, "utf-8");
+  } catch (e) {
+    return e.code === "ENOENT" ? { missing: true } : { error: e.message };
+  }
+  let state;
+  try {
+    state = JSON.parse(text);
+  } catch (e) {
+    return { error: `not valid JSON (${e.message})` };
+  }
+  if (!state || typeof state !== "object" || Array.isArray(state)) return { error: "not a JSON object" };
+  if (state.bindings !== undefined && (typeof state.bindings !== "object" || state.bindings === null || Array.isArray(state.bindings))) {
+    return { error: "bindings is not an object" };
+  }
+  return { state };
+}
+
+// Move a bad file out of the way so the next save does not overwrite it.
+function keepAside(f, suffix) {
+  const target = `${f}.${suffix}-${new Date().toISOString().replace(/[:.]/g, "-")}`;
+  try {
+    fs.renameSync(f, target);
+    return target;
+  } catch (_) {
+    return null;
+  }
+}
+
+// Load state.json, falling back to the backup of the previous save. Corrupt
+// files are renamed to state.json.corrupt-<time> and kept; a file from a newer
+// plugin version is copied to state.json.v<version> before it is used.
+// Returns { state, problems } where problems lists what went wrong, for the plugin status.
 function loadState(app, def) {
   const f = getStateFile(app);
-  try { return { ...def, ...JSON.parse(fs.readFileSync(f, "utf-8")) }; }
-  catch (_) { return def; }
+  const problems = [];
+  for (const file of [f, `${f}.bak`]) {
+    const r = readStateFile(file);
+    if (r.missing) continue;
+    if (r.error) {
+      const aside = keepAside(file, "corrupt");
+      problems.push(`${path.basename(file)} is ${r.error}; kept as ${aside ? path.basename(aside) : "is"}`);
+      continue;
+    }
+    if (file !== f) problems.push(`Restored from ${path.basename(file)}`);
+    if (Number(r.state.version) > STATE_VERSION) {
+      try { fs.copyFileSync(file, `${f}.v${r.state.version}`); } catch (_) {}
+      problems.push(`state.json is from a newer plugin (version ${r.state.version}); a copy is kept as state.json.v${r.state.version}`);
+      return { state: { ...def, ...r.state, version: STATE_VERSION }, problems };
+    }
+    return { state: { ...def, ...migrate(r.state) }, problems };
+  }
+  return { state: { ...def, version: STATE_VERSION }, problems };
 }
 
+// Write to a temporary file, flush it, keep the previous file as state.json.bak
+// and rename the new one into place, so a power cut leaves a complete file.
 function saveState(app, state) {
   const f = getStateFile(app);
-  fs.writeFileSync(f, JSON.stringify(state, null, 2) + "\n", "utf-8");
+  const tmp = `${f}.tmp`;
+  const fd = fs.openSync(tmp, "w");
+  try {
+    fs.writeSync(fd, JSON.stringify({ ...state, version: STATE_VERSION }, null, 2) + "\n", null, "utf-8");
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  if (fs.existsSync(f)) fs.renameSync(f, `${f}.bak`);
+  fs.renameSync(tmp, f);
+  // Make the renames durable too (not supported on every platform).
+  try {
+    const dirFd = fs.openSync(path.dirname(f), "r");
+    try { fs.fsyncSync(dirFd); } finally { fs.closeSync(dirFd); }
+  } catch (_) {}
 }
 
-module.exports = { loadState, saveState };
+module.exports = { STATE_VERSION, loadState, saveState };
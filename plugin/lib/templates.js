@@ -0,0 +1,65 @@
+"use strict";
+
+const PLACEHOLDER = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const WHOLE = /^\{\{\s*([^{}]+?)\s*\}\}$/;
+
+function toText(v) {
+  if (v === undefined || v === null) return "";
+  if (typeof v === "object") return JSON.stringify(v);
+  return String(v);
+}
+
+// Replace {{name}} placeholders in every string of value (objects and arrays
+// are walked, keys are left alone). A string that is a single placeholder
+// takes the raw value, so "{{navigation.position}}" stays an object and
+// "{{dashboard.index}}" a number; inside longer strings values become text.
+// lookup(name) returns undefined for unknown names, which render as "" (null
+// for a whole-string placeholder). escape is applied to values placed inside
+// longer strings, e.g. encodeURIComponent for a URL.
+function renderTemplate(value, lookup, escape = (text) => text) {
+  if (typeof value === "string") {
+    if (!value.includes("{{")) return value;
+    const whole = WHOLE.exec(value);
+    if (whole) return lookup(whole[1]) ?? null;
+    return value.replace(PLACEHOLDER, (_, name) => escape(toText(lookup(name))));
+  }
+  if (Array.isArray(value)) return value.map((v) => renderTemplate(v, lookup, escape));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, renderTemplate(v, lookup, escape)]));
+  }
+  return value;
+}
+
+function unwrap(v) {
+  return v && typeof v === "object" && "value" in v ? v.value : v;
+}
+
+// Variables for action templates. Built-in names come from vars (display.id,
+// key, time, ...); anything else is read as a Signal K path of the own vessel.
+function createTemplateLookup(vars, getSelfPath) {
+  return (name) => {
+    if (Object.prototype.hasOwnProperty.call(vars, name)) return vars[name];
+    if (typeof getSelfPath !== "function") return undefined;
+    // Object values such as navigation.position are leaves in Signal K:
+    // navigation.position.latitude is read from the value of navigation.position.
+    const parts = name.split(".");
+    for (let n = parts.length; n > 0; n--) {
+      let v = unwrap(getSelfPath(parts.slice(0, n).join(".")));
+      if (v === undefined) continue;
+      for (const p of parts.slice(n)) v = v != null && typeof v === "object" ? unwrap(v[p]) : undefined;
+      return v;
+    }
+    return undefined;
+  };
+}
+
+function timeVars(now = new Date()) {
+  return {
+    time: now.toISOString(),
+    "time.epoch": now.getTime(),
+    "time.local": now.toLocaleString(),
+    date: now.toISOString().slice(0, 10),
+  };
+}
+
+module.exports = { renderTemplate, createTemplateLookup, timeVars };
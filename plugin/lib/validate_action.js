@@ -0,0 +1,84 @@
+"use strict";
+const { METHODS } = require("./rest_action");
+const { OPERATORS } = require("./conditions");
+const { chordId } = require("./gestures");
+
+const ACTION_TYPES = ["none", "rest", "signalk", "signalk-put", "sequence", "if", "delay", "kip"];
+const SLOT_PATTERN = /^(play|KEY_\w+(\+KEY_\w+)*(:(short|long|double|chord))?)$/;
+
+// Templates are only resolved when the action runs, so a URL with {{...}}
+// cannot be checked up front.
+function hasTemplate(s) {
+  return typeof s === "string" && s.includes("{{");
+}
+
+// Check a normalized action. Returns a list of { field, message }; empty when valid.
+function validateAction(action, prefix = "") {
+  const errors = [];
+  const err = (field, message) => errors.push({ field: prefix + field, message });
+  const type = action?.type;
+
+  if (!ACTION_TYPES.includes(type)) {
+    err("type", `Unknown action type "${type}"`);
+    return errors;
+  }
+
+  if (type === "rest") {
+    if (!action.url && !action.path) err("url", "A URL (or a local path) is required");
+    if (action.url && !hasTemplate(action.url)) {
+      let u = null;
+      try { u = new URL(action.url); } catch (_) {}
+      if (!u || !["http:", "https:"].includes(u.protocol)) err("url", "Must be an http:// or https:// URL");
+    }
+    if (!METHODS.includes(action.method)) err("method", `Must be one of ${METHODS.join(", ")}`);
+    if (action.auth?.type === "basic" && !action.auth.username) err("auth.username", "Basic auth needs a user name");
+    if (action.auth?.type === "bearer" && !action.auth.token) err("auth.token", "Bearer auth needs a token");
+    if (action.capture?.from === "regex") {
+      if (!action.capture.expr) err("capture.expr", "A regex is required");
+      else {
+        try { new RegExp(action.capture.expr); } catch (e) { err("capture.expr", `Bad regex: ${e.message}`); }
+      }
+    }
+  }
+
+  if (type === "signalk" && !action.key) err("key", "A Signal K path is required");
+  if (type === "signalk-put" && !action.path) err("path", "A Signal K path is required");
+  if (type === "delay" && !(Number(action.ms) >= 0)) err("ms", "Must be a number of milliseconds");
+  if (type === "kip" && !action.dashboardId) err("dashboardId", "A KIP dashboard id is required");
+
+  if (type === "sequence") {
+    if (!Array.isArray(action.steps) || action.steps.length === 0) err("steps", "A sequence needs at least one step");
+    (action.steps || []).forEach((step, i) => errors.push(...validateAction(step, `${prefix}steps[${i}].`)));
+  }
+
+  if (type === "if") {
+    if (!Array.isArray(action.conditions) || action.conditions.length === 0) err("conditions", "At least one condition is required");
+    (action.conditions || []).forEach((c, i) => {
+      if (!c.path) err(`conditions[${i}].path`, "A path is required");
+      if (!OPERATORS.includes(c.op)) err(`conditions[${i}].op`, `Must be one of ${OPERATORS.join(", ")}`);
+    });
+    if ((action.then?.type || "none") === "none" && (action.else?.type || "none") === "none") err("then", "Either then or else needs an action");
+    if (action.then && action.then.type !== "none") errors.push(...validateAction(action.then, `${prefix}then.`));
+    if (action.else && action.else.type !== "none") errors.push(...validateAction(action.else, `${prefix}else.`));
+  }
+
+  return errors;
+}
+
+// "play", "KEY_UP", "KEY_UP:long", "KEY_A+KEY_B:chord"; a short press is stored
+// without ":short" and chord keys are sorted, as the gesture detector names them.
+function normalizeSlot(slot) {
+  const s = String(slot || "").trim();
+  if (!SLOT_PATTERN.test(s)) return null;
+  if (s === "play") return s;
+  const [keys, gesture = "short"] = s.split(":");
+  const list = keys.split("+");
+  if (list.length > 1 || gesture === "chord") {
+    // A chord needs two different keys and no other gesture.
+    if (new Set(list).size < 2 || (gesture !== "chord" && s.includes(":"))) return null;
+    return `${chordId(list)}:chord`;
+  }
+  return gesture === "short" ? keys : `${keys}:${gesture}`;
+}
+
+module.exports = { ACTION_TYPES, validateAction, normalizeSlot };
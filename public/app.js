@@ -11,6 +11,16 @@ const elLastKey = document.getElementById("lastKey");
 const elLastKeyAt = document.getElementById("lastKeyAt");
 // Cache the last-key code element for quick updates.
 const elLastKeyCode = document.getElementById("lastKeyCode");
+// Cache the last-gesture element for quick updates.
+const elLastGesture = document.getElementById("lastGesture");
+// Cache the remote mode element.
+const elRemoteMode = document.getElementById("remoteMode");
+// Cache the autopilot target element.
+const elAutopilotTarget = document.getElementById("autopilotTarget");
+// Cache the input device list container element.
+const elDeviceList = document.getElementById("deviceList");
+// Cache the remote list container element.
+const elRemoteList = document.getElementById("remoteList");
 // Cache the display list container element.
 const elDisplayList = document.getElementById("displayList");
 // Cache the keypad container element.
@@ -23,6 +33,10 @@ const elActiveDisplayName = document.getElementById("activeDisplayName");
 const elActiveScreenTag = document.getElementById("activeScreenTag");
 // Cache the dashboard table container element.
 const elDashTable = document.getElementById("dashTable");
+// Cache the binding editor container.
+const elBindingEditor = document.getElementById("bindingEditor");
+// Cache the full-screen menu overlay.
+const elMenuOverlay = document.getElementById("menuOverlay");
 
 // Hold the latest display payload from the KIP API.
 let state = null;
@@ -42,6 +56,63 @@ let pluginRefreshTimer = null;
 let lastSelectedDisplayId = null;
 // Cache the last selected screen index from Signal K updates.
 let lastSelectedScreenIndex = null;
+// Hold the last binding results per display, dashboard and slot.
+let bindingResults = {};
+// Track the effective binding actions per display and dashboard.
+let pluginBindings = {};
+// Track bindings matched by name or position per display.
+let pluginLinks = {};
+// Track where each effective binding is stored and came from, per display.
+let pluginOrigins = {};
+// Track the dashboard whose bindings are being edited.
+let editor = null;
+// Hold the remotes (default plus device profiles) and their selections.
+let pluginRemotes = [];
+// Hold the remote-driven menu state.
+let menuState = { open: false, items: [], index: null };
+
+// Editor fields per action type: [field, label, kind, options].
+const EDITOR_FIELDS = {
+  none: [],
+  rest: [
+    ["url", "URL", "text"],
+    ["path", "Or a path on the local Signal K server", "text"],
+    ["method", "Method", "select", ["GET", "POST", "PUT", "PATCH", "DELETE", "HEAD"]],
+    ["headers", "Headers (JSON object)", "json"],
+    ["auth.type", "Auth", "select", ["none", "basic", "bearer"]],
+    ["auth.username", "User name", "text"],
+    ["auth.password", "Password", "password"],
+    ["auth.token", "Token", "password"],
+    ["bodyType", "Body type", "select", ["json", "form", "text", "none"]],
+    ["body", "Body (JSON, or raw text for text/form)", "body"],
+    ["expectStatus", "Expected status (2xx, 200,204, 200-299)", "text"],
+    ["timeoutMs", "Timeout (ms)", "number"],
+    ["capture.from", "Capture", "select", ["none", "json", "regex", "status"]],
+    ["capture.expr", "Capture expression (JSON path or regex)", "text"],
+    ["capture.path", "Publish captured value to Signal K path", "text"]
+  ],
+  signalk: [
+    ["key", "Signal K path", "text"],
+    ["value", "Value (JSON or text)", "value"]
+  ],
+  "signalk-put": [
+    ["path", "Signal K path", "text"],
+    ["value", "Value (JSON or text)", "value"],
+    ["timeoutMs", "Timeout (ms)", "number"]
+  ],
+  sequence: [["steps", "Steps (JSON array of actions)", "json"]],
+  if: [
+    ["conditions", "Conditions (JSON array of { path, op, value })", "json"],
+    ["match", "Match", "select", ["all", "any"]],
+    ["then", "Then (JSON action)", "json"],
+    ["else", "Else (JSON action)", "json"]
+  ],
+  delay: [["ms", "Delay (ms)", "number"]],
+  kip: [
+    ["displayId", "Display id (empty for the selected display)", "text"],
+    ["dashboardId", "Dashboard id", "text"]
+  ]
+};
 
 // Build an API URL for a relative path.
 function pluginUrl(p) {
@@ -89,6 +160,20 @@ async function postPluginJson(p, body) {
   return { ok: res.ok, status: res.status, data };
 }
 
+// Send JSON to the plugin API with any method (PUT, DELETE, ...).
+async function sendPluginJson(method, p, body) {
+  // Issue the request with optional JSON payload.
+  const res = await fetch(pluginUrl(p), {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  // Parse JSON safely, falling back to an empty object on errors.
+  const data = await res.json().catch(() => ({}));
+  // Return a consistent response envelope.
+  return { ok: res.ok, status: res.status, data };
+}
+
 // Send JSON to the KIP API via POST.
 async function postKipJson(p, body) {
   // Issue a POST request with optional JSON payload.
@@ -157,6 +242,20 @@ function updateLastKeyUi() {
   elLastKeyAt.textContent = keys?.last?.lastKeyAt || "—";
   // Show the last key code.
   elLastKeyCode.textContent = (keys?.last?.lastKeyCode ?? "—");
+  // Show the last gesture and the key that produced it.
+  elLastGesture.textContent = keys?.last?.lastGesture ? (keys.last.lastGesture + " " + (keys.last.lastGestureKey || "")) : "—";
+}
+
+// Update the remote mode and autopilot target labels.
+function updateModeUi() {
+  // Pull the autopilot view or use an empty object.
+  const ap = keys?.autopilot || {};
+  // Show the current remote mode and key layer.
+  elRemoteMode.textContent = (ap.mode || "navigation") + " · layer " + (keys?.layer || "navigation");
+  // Show the autopilot target in degrees while the mode is active.
+  elAutopilotTarget.textContent = ap.mode === "autopilot" && Number.isFinite(ap.target)
+    ? "· " + (ap.targetType || "heading") + " target " + Math.round((ap.target * 180) / Math.PI) + "°"
+    : "";
 }
 
 // Show an API error in the last-key status area.
@@ -191,8 +290,16 @@ function renderKeypad() {
       const b = document.createElement("div");
       // Highlight the button if it is the last pressed key.
       b.className = "btnKey" + (k === last ? " active" : "");
-      // Set the visible key label.
+      // Set the visible key name.
       b.textContent = k;
+      // Show what the key does in the active layer.
+      const label = document.createElement("div");
+      // Style the function label as secondary text.
+      label.className = "muted";
+      // Use the layer label or a dash for unbound keys.
+      label.textContent = (keys.labels && keys.labels[k]) || "—";
+      // Attach the function label below the key name.
+      b.appendChild(label);
       // Append the key to the current row.
       rowEl.appendChild(b);
     });
@@ -201,6 +308,118 @@ function renderKeypad() {
   });
 }
 
+// Render the input devices and their connection state.
+function renderDevices(devices, candidates) {
+  // Clear any previous device list content.
+  elDeviceList.innerHTML = "";
+  // Build list items for each supervised device.
+  (devices || []).forEach((d) => {
+    // Create the list item container.
+    const div = document.createElement("div");
+    // Flag devices that are not connected.
+    div.className = "item" + (d.state === "connected" ? "" : " off");
+    // Show path, name and connection state.
+    div.textContent = d.path + (d.name ? " (" + d.name + ")" : "") + ": " + d.state + (d.error ? " — " + d.error : "");
+    // Append the item to the device list.
+    elDeviceList.appendChild(div);
+  });
+  // Show the detected candidates when nothing is being read.
+  if (!(devices || []).length) {
+    // Create a hint listing the detected input devices.
+    const div = document.createElement("div");
+    // Style the hint as secondary text.
+    div.className = "muted";
+    // List candidate names so the user can configure a match.
+    div.textContent = "No device read. Detected: " + ((candidates || []).map((c) => c.name + " [" + (c.eventPaths || []).join(", ") + "]").join("; ") || "none");
+    // Append the hint to the device list.
+    elDeviceList.appendChild(div);
+  }
+}
+
+// Render each remote with its inputs and its selected display and dashboard.
+function renderRemotes() {
+  // Clear any previous remote list content.
+  elRemoteList.innerHTML = "";
+  // Build list items for each remote.
+  pluginRemotes.forEach((rm) => {
+    // Create the list item container.
+    const div = document.createElement("div");
+    // Flag remotes without a connected input device.
+    div.className = "item" + ((rm.inputs || []).some((d) => d.state === "connected") ? "" : " off");
+    // Describe the selected display and its shown dashboard.
+    const where = rm.selectedDisplayId ? (rm.selectedDisplayName || rm.selectedDisplayId) + " / " + (rm.dashboardName || rm.dashboardId || "—") : "no display";
+    // List the input devices read for the remote.
+    const inputs = (rm.inputs || []).map((d) => d.name || d.path).join(", ") || "no input";
+    // Show the label, selection, inputs and last key.
+    div.textContent = rm.label + ": " + where + " · " + inputs + (rm.lastKey ? " · " + rm.lastKey : "") + (rm.displays ? " · displays: " + rm.displays.join(", ") : "");
+    // Append the item to the remote list.
+    elRemoteList.appendChild(div);
+  });
+}
+
+// Render the menu as a full-screen overlay while it is open.
+function renderMenu() {
+  // Hide the overlay when the menu is closed.
+  elMenuOverlay.style.display = menuState.open ? "" : "none";
+  // Clear any previous menu content.
+  elMenuOverlay.innerHTML = "";
+  // Skip building items for a closed menu.
+  if (!menuState.open) return;
+  // Create the title naming the remote that opened the menu.
+  const title = document.createElement("div");
+  // Style the title as secondary text.
+  title.className = "muted";
+  // Show which remote drives the menu.
+  title.textContent = "Menu · " + (menuState.device || "remote") + " · arrows move, Enter runs";
+  // Append the title to the overlay.
+  elMenuOverlay.appendChild(title);
+  // Build one entry per menu item.
+  (menuState.items || []).forEach((label, i) => {
+    // Create the entry element.
+    const div = document.createElement("div");
+    // Highlight the entry the remote points at.
+    div.className = "menuItem" + (i === menuState.index ? " sel" : "");
+    // Show the entry label.
+    div.textContent = label;
+    // Run the entry when it is tapped.
+    div.onclick = (ev) => {
+      // Keep the tap from closing the overlay.
+      ev.stopPropagation();
+      // Ask the plugin to run this entry.
+      postPluginJson("api/menu/select", { index: i });
+    };
+    // Append the entry to the overlay.
+    elMenuOverlay.appendChild(div);
+  });
+}
+
+// Load the menu state from the plugin API.
+async function refreshMenu() {
+  // Request the plugin menu payload.
+  const r = await getPluginJson("api/menu");
+  // Skip rendering when the plugin API is unavailable.
+  if (!r.ok) return;
+  // Store and render the menu.
+  menuState = r.data;
+  renderMenu();
+}
+
+// Close the menu when the overlay background is tapped.
+elMenuOverlay.onclick = () => postPluginJson("api/menu/close");
+
+// Load input device states from the plugin API.
+async function refreshDevices() {
+  // Request the plugin devices payload.
+  const r = await getPluginJson("api/devices");
+  // Skip rendering when the plugin API is unavailable.
+  if (!r.ok) return;
+  // Render the device list.
+  renderDevices(r.data.devices, r.data.candidates);
+  // Store and render the remotes.
+  pluginRemotes = r.data.remotes || [];
+  renderRemotes();
+}
+
 // Render the list of displays from the state payload.
 function renderDisplays() {
   // Clear any previous display list content.
@@ -265,8 +484,9 @@ function renderDashboards() {
     // Build the dashboard summary HTML.
     div.innerHTML =
       "<div><b>" + name + "</b> " + (i === shown ? "(shown)" : "") + "</div>" +
-      "<div class='muted'>id: " + dash.id + "</div>" +
-      "<div class='muted'>play: <code>none</code></div>";
+      "<div class='muted'>id: " + escapeText(dash.id) + "</div>" +
+      formatBindings(pluginBindings[cur.id]?.[dash.id], pluginOrigins[cur.id]?.[dash.id]) +
+      formatResults(bindingResults[cur.id]?.[dash.id]);
 
     // Create a show button for this dashboard.
     const btn = document.createElement("button");
@@ -282,6 +502,35 @@ function renderDashboards() {
 
     // Attach the button to the dashboard container.
     div.appendChild(btn);
+    // Create an edit button for the bindings of this dashboard.
+    const edit = document.createElement("button");
+    // Label the button for clarity.
+    edit.textContent = "Edit bindings";
+    // Keep some room after the show button.
+    edit.style.marginLeft = "6px";
+    // On click, open the editor for this dashboard.
+    edit.onclick = () => openBindingEditor(cur.id, dash.id, name);
+    // Attach the button to the dashboard container.
+    div.appendChild(edit);
+    // Look for bindings borrowed from a re-created dashboard.
+    const link = (pluginLinks[cur.id] || []).find((l) => l.dashboardId === dash.id);
+    // Offer to rewrite them to the current ids.
+    if (link) {
+      // Explain where the bindings come from.
+      const note = document.createElement("div");
+      note.className = "muted";
+      note.textContent = "Bindings matched by " + link.match + " from " + link.storedDisplayId + " / " + link.storedDashboardId;
+      div.appendChild(note);
+      // Create the re-link button.
+      const relink = document.createElement("button");
+      relink.textContent = "Re-link";
+      // On click, store the bindings under the current ids.
+      relink.onclick = async () => {
+        await postPluginJson("api/bindings/relink", { displayId: cur.id, dashboardId: dash.id });
+        await refreshKipData();
+      };
+      div.appendChild(relink);
+    }
     // Add spacing between dashboard entries.
     div.style.marginTop = "10px";
     // Append the dashboard container to the table.
@@ -289,6 +538,376 @@ function renderDashboards() {
   });
 }
 
+// Describe an action in one short line.
+function describeAction(a) {
+  // Show REST calls as method and URL.
+  if (a?.type === "rest") return a.method + " " + (a.url || a.path);
+  // Show Signal K updates as path and value.
+  if (a?.type === "signalk") return a.key + " = " + JSON.stringify(a.value);
+  // Show Signal K PUTs as path and value.
+  if (a?.type === "signalk-put") return "PUT " + a.path + " = " + JSON.stringify(a.value);
+  // Show sequences by their step count.
+  if (a?.type === "sequence") return "sequence of " + (a.steps || []).length + " steps";
+  // Show conditions by their paths.
+  if (a?.type === "if") return "if " + (a.conditions || []).map((c) => c.path + " " + c.op + (["exists", "missing"].includes(c.op) ? "" : " " + JSON.stringify(c.value))).join(" " + (a.match === "any" ? "or" : "and") + " ");
+  // Show delays in milliseconds.
+  if (a?.type === "delay") return "delay " + a.ms + " ms";
+  // Show KIP steps by their dashboard.
+  if (a?.type === "kip") return "kip " + a.dashboardId;
+  // Everything else has no action.
+  return "none";
+}
+
+// Describe where a binding comes from, e.g. "settings, display default".
+function describeOrigin(source) {
+  // Skip bindings without origin data.
+  if (!source) return "";
+  // Name the default level when the binding is not the dashboard's own.
+  const level = source.level === "display" ? ", display default" : source.level === "global" ? ", global default" : "";
+  // Combine origin and level.
+  return " (" + source.origin + level + ")";
+}
+
+// Build the binding lines shown under a dashboard.
+function formatBindings(slots, origins) {
+  // Pull the bound slots or use an empty list.
+  const entries = Object.entries(slots || {});
+  // Show the default when nothing is bound.
+  if (!entries.length) return "<div class='muted'>play: <code>none</code></div>";
+  // One line per slot with its action summary and origin.
+  return entries
+    .map(([slot, a]) => "<div class='muted'>" + escapeText(slot) + ": <code>" + escapeText(describeAction(a)) + "</code>" + escapeText(describeOrigin(origins?.[slot])) + "</div>")
+    .join("");
+}
+
+// Build the last-result lines shown under a dashboard.
+function formatResults(slots) {
+  // Skip dashboards without results.
+  if (!slots) return "";
+  // One line per slot with its outcome and captured value.
+  return Object.entries(slots)
+    .map(([slot, r]) => {
+      // Show the captured value when there is one.
+      const value = "value" in r ? " = <code>" + escapeText(JSON.stringify(r.value)) + "</code>" : "";
+      // Show the HTTP status or the error.
+      const detail = r.error ? " " + escapeText(r.error) : r.status != null ? " HTTP " + r.status : "";
+      // Combine into one muted line.
+      return "<div class='muted'>last " + escapeText(slot) + ": " + (r.blocked ? "blocked" : r.ok ? "ok" : "failed") + detail + value + " (" + new Date(r.at).toLocaleTimeString() + ")</div>";
+    })
+    .join("");
+}
+
+// Escape text for insertion into HTML.
+function escapeText(text) {
+  // Let the browser do the escaping.
+  const span = document.createElement("span");
+  span.textContent = String(text);
+  return span.innerHTML;
+}
+
+// Load the bindings and last binding results from the plugin state.
+async function refreshResults() {
+  // Request the plugin state payload.
+  const r = await getPluginJson("api/state");
+  // Keep the previous results when the plugin API is unavailable.
+  if (!r.ok) return;
+  // Index the results by display id.
+  bindingResults = Object.fromEntries((r.data.displays || []).map((d) => [d.displayId, d.results || {}]));
+  // Index the effective bindings by display id.
+  pluginBindings = Object.fromEntries((r.data.displays || []).map((d) => [d.displayId, d.bindings || {}]));
+  // Index the name/position matches by display id.
+  pluginLinks = Object.fromEntries((r.data.displays || []).map((d) => [d.displayId, d.links || []]));
+  // Index the binding origins by display id.
+  pluginOrigins = Object.fromEntries((r.data.displays || []).map((d) => [d.displayId, d.origins || {}]));
+}
+
+// Read a dotted field ("auth.type") from an action.
+function getField(obj, field) {
+  // Walk the path, stopping at missing parts.
+  return field.split(".").reduce((v, k) => (v == null ? undefined : v[k]), obj);
+}
+
+// Write a dotted field ("auth.type") into an action.
+function setField(obj, field, value) {
+  // Split the path into parent parts and the last key.
+  const parts = field.split(".");
+  const last = parts.pop();
+  // Create the parent objects as needed.
+  const parent = parts.reduce((v, k) => (v[k] && typeof v[k] === "object" ? v[k] : (v[k] = {})), obj);
+  // Store the value on the parent.
+  parent[last] = value;
+}
+
+// Format an action field for its input element.
+function fieldText(kind, value) {
+  // Leave missing values empty.
+  if (value === undefined || value === null) return "";
+  // Show plain strings as they are for text-like inputs.
+  if (typeof value === "string" && kind !== "json") return value;
+  // Join status lists into the comma form.
+  if (Array.isArray(value) && kind === "text") return value.join(",");
+  // Show objects and other values as JSON.
+  return typeof value === "object" ? JSON.stringify(value, null, 2) : String(value);
+}
+
+// Open the binding editor for a dashboard.
+async function openBindingEditor(displayId, dashboardId, name) {
+  // Request the stored bindings of the dashboard.
+  const r = await getPluginJson(`api/bindings/${encodeURIComponent(displayId)}/${encodeURIComponent(dashboardId)}`);
+  // Report errors clearly when the plugin API is unavailable.
+  if (!r.ok) {
+    showApiError("Cannot load bindings (" + r.status + ")");
+    return;
+  }
+  // Remember what is being edited.
+  editor = { displayId, dashboardId, name, actions: r.data.actions || {} };
+  // Start with the first stored slot, or play.
+  const slot = Object.keys(editor.actions)[0] || "play";
+  // Render the editor with the stored action of that slot.
+  renderBindingEditor(slot, editor.actions[slot] || { type: "none" });
+}
+
+// Close the binding editor.
+function closeBindingEditor() {
+  // Forget the edited dashboard.
+  editor = null;
+  // Hide and clear the editor container.
+  elBindingEditor.style.display = "none";
+  elBindingEditor.innerHTML = "";
+}
+
+// Create a labelled input for one editor field.
+function createFieldInput(def, action) {
+  // Pull the field definition parts.
+  const [field, text, kind, options] = def;
+  // Create the label that wraps the input.
+  const label = document.createElement("label");
+  // Show the field label as secondary text.
+  label.className = "muted";
+  label.textContent = text;
+  // Choose the element for the field kind.
+  const input = document.createElement(kind === "select" ? "select" : ["json", "body", "value"].includes(kind) ? "textarea" : "input");
+  // Fill select options from the definition.
+  if (kind === "select") options.forEach((o) => input.appendChild(new Option(o, o)));
+  // Use the matching input type for plain inputs.
+  if (input.tagName === "INPUT") input.type = kind === "number" ? "number" : kind === "password" ? "password" : "text";
+  // Fill the current value, using the first option as the select default.
+  input.value = fieldText(kind, getField(action, field)) || (kind === "select" ? options[0] : "");
+  // Tag the input so the draft can be read back.
+  input.dataset.field = field;
+  input.dataset.kind = kind;
+  // Attach the input to the label.
+  label.appendChild(input);
+  // Return the labelled input.
+  return label;
+}
+
+// Render the binding editor for a slot and action.
+function renderBindingEditor(slot, action) {
+  // Clear any previous editor content.
+  elBindingEditor.innerHTML = "";
+  // Show the editor container.
+  elBindingEditor.style.display = "";
+
+  // Show what is being edited.
+  const title = document.createElement("div");
+  title.innerHTML = "<b>Bindings for " + escapeText(editor.name) + "</b> <span class='muted'>(" + escapeText(editor.displayId) + ")</span>";
+  elBindingEditor.appendChild(title);
+
+  // List the stored slots so they can be picked for editing.
+  Object.entries(editor.actions).forEach(([s, a]) => {
+    // Create the list item for the slot.
+    const item = document.createElement("div");
+    // Mark the slot being edited.
+    item.className = "item" + (s === slot ? " sel" : "");
+    // Show the slot and its action summary.
+    item.textContent = s + ": " + describeAction(a);
+    // Load the slot into the editor on click.
+    item.onclick = () => renderBindingEditor(s, a);
+    // Keep the items apart.
+    item.style.marginTop = "6px";
+    elBindingEditor.appendChild(item);
+  });
+
+  // Create the slot input.
+  const slotDef = ["slot", "Slot (play, KEY_X, KEY_X:long, KEY_X:double, KEY_A+KEY_B:chord)", "text"];
+  elBindingEditor.appendChild(createFieldInput(slotDef, { slot }));
+  // Create the action type select.
+  const typeLabel = createFieldInput(["type", "Action type", "select", Object.keys(EDITOR_FIELDS)], action);
+  // Re-render the fields for the chosen type, keeping the slot.
+  typeLabel.querySelector("select").onchange = (e) => {
+    // Read the slot typed so far.
+    const curSlot = elBindingEditor.querySelector("[data-field='slot']").value;
+    // Start a fresh action of the chosen type.
+    renderBindingEditor(curSlot, { type: e.target.value });
+  };
+  elBindingEditor.appendChild(typeLabel);
+  // Create the inputs for the action type.
+  (EDITOR_FIELDS[action.type] || []).forEach((def) => elBindingEditor.appendChild(createFieldInput(def, action)));
+
+  // Create the area for validation errors.
+  const errors = document.createElement("div");
+  errors.className = "errors";
+  // Create the area for test and save results.
+  const result = document.createElement("div");
+  result.className = "muted";
+
+  // Create the editor buttons.
+  const buttons = [
+    ["Test", () => testDraft(errors, result)],
+    ["Save", () => saveDraft(errors, result)],
+    ["Delete", () => deleteSlot(errors, result)],
+    ["Close", closeBindingEditor]
+  ];
+  // Attach each button with its handler.
+  buttons.forEach(([text, onclick]) => {
+    const b = document.createElement("button");
+    b.textContent = text;
+    b.onclick = onclick;
+    elBindingEditor.appendChild(b);
+  });
+  // Attach the error and result areas below the buttons.
+  elBindingEditor.appendChild(errors);
+  elBindingEditor.appendChild(result);
+}
+
+// Read the draft slot and action from the editor inputs.
+function readDraft() {
+  // Collect parse errors next to the draft.
+  const errors = [];
+  // Start from an empty action.
+  const action = {};
+  // Read the slot separately from the action fields.
+  let slot = "";
+  // Walk every tagged input.
+  elBindingEditor.querySelectorAll("[data-field]").forEach((input) => {
+    // Pull the field name, kind and raw text.
+    const { field, kind } = input.dataset;
+    const text = input.value.trim();
+    // Keep the slot out of the action.
+    if (field === "slot") {
+      slot = text;
+      return;
+    }
+    // Skip empty fields so the server applies its defaults.
+    if (text === "") return;
+    // Parse numbers.
+    if (kind === "number") return setField(action, field, Number(text));
+    // Parse JSON fields and report bad JSON.
+    if (kind === "json") {
+      try {
+        setField(action, field, JSON.parse(text));
+      } catch (e) {
+        errors.push({ field, message: "Invalid JSON: " + e.message });
+      }
+      return;
+    }
+    // Values and bodies are JSON when they parse, text otherwise.
+    if (kind === "value" || kind === "body") {
+      try {
+        setField(action, field, JSON.parse(text));
+      } catch (_) {
+        setField(action, field, text);
+      }
+      return;
+    }
+    // Store everything else as text.
+    setField(action, field, text);
+  });
+  // Return the draft with its parse errors.
+  return { slot, action, errors };
+}
+
+// Check the draft before sending it; the plugin validates it again.
+function validateDraft(draft) {
+  // Start with the parse errors.
+  const errors = [...draft.errors];
+  // Pull the draft action.
+  const a = draft.action;
+  // Require a valid slot name.
+  if (!/^(play|KEY_\w+(\+KEY_\w+)*(:(short|long|double|chord))?)$/.test(draft.slot)) errors.push({ field: "slot", message: "Invalid slot" });
+  // Require the target of each action type.
+  if (a.type === "rest" && !a.url && !a.path) errors.push({ field: "url", message: "A URL (or a local path) is required" });
+  if (a.type === "rest" && a.url && !a.url.includes("{{") && !/^https?:\/\//.test(a.url)) errors.push({ field: "url", message: "Must be an http:// or https:// URL" });
+  if (a.type === "signalk" && !a.key) errors.push({ field: "key", message: "A Signal K path is required" });
+  if (a.type === "signalk-put" && !a.path) errors.push({ field: "path", message: "A Signal K path is required" });
+  if (a.type === "kip" && !a.dashboardId) errors.push({ field: "dashboardId", message: "A KIP dashboard id is required" });
+  if (a.type === "sequence" && !Array.isArray(a.steps)) errors.push({ field: "steps", message: "Steps must be a JSON array" });
+  if (a.type === "if" && !Array.isArray(a.conditions)) errors.push({ field: "conditions", message: "Conditions must be a JSON array" });
+  // Return the combined errors.
+  return errors;
+}
+
+// Show validation errors in the editor.
+function showDraftErrors(el, errors) {
+  // Show one line per error with its field.
+  el.innerHTML = (errors || []).map((e) => "<div>" + escapeText(e.field) + ": " + escapeText(e.message) + "</div>").join("");
+}
+
+// Run the draft action without saving it.
+async function testDraft(errorsEl, resultEl) {
+  // Read and check the draft.
+  const draft = readDraft();
+  const errors = validateDraft(draft);
+  showDraftErrors(errorsEl, errors);
+  // Stop when the draft is invalid.
+  if (errors.length) return;
+  // Show a loading message while the action runs.
+  resultEl.textContent = "Running...";
+  // Run the draft; the stored slot supplies masked credentials.
+  const r = await postPluginJson("api/bindings/test", { action: draft.action, displayId: editor.displayId, dashboardId: editor.dashboardId, slot: draft.slot });
+  // Show server-side validation errors.
+  showDraftErrors(errorsEl, r.data.errors);
+  // Report the run outcome.
+  resultEl.textContent = r.ok ? (r.data.ok ? "OK: " : "Failed: ") + (r.data.result?.status || r.data.result?.error || JSON.stringify(r.data.result)) : "ERR: " + (r.data.error || r.status);
+}
+
+// Save the draft action into its slot.
+async function saveDraft(errorsEl, resultEl) {
+  // Read and check the draft.
+  const draft = readDraft();
+  const errors = validateDraft(draft);
+  showDraftErrors(errorsEl, errors);
+  // Stop when the draft is invalid.
+  if (errors.length) return;
+  // Store the action in the slot.
+  const r = await sendPluginJson("PUT", `api/bindings/${encodeURIComponent(editor.displayId)}/${encodeURIComponent(editor.dashboardId)}/${encodeURIComponent(draft.slot)}`, { action: draft.action });
+  // Show server-side validation errors.
+  showDraftErrors(errorsEl, r.data.errors);
+  // Report failures and keep the draft for fixing.
+  if (!r.ok) {
+    resultEl.textContent = "ERR: " + (r.data.error || r.status);
+    return;
+  }
+  // Take over the stored slots from the response.
+  editor.actions = r.data.actions || {};
+  // Re-render with the saved action (slot names are normalized by the plugin).
+  const slot = draft.slot.replace(/:short$/, "");
+  renderBindingEditor(slot, editor.actions[slot] || draft.action);
+  // Refresh the dashboard summaries.
+  await refreshKipData();
+}
+
+// Delete the binding of the slot in the editor.
+async function deleteSlot(errorsEl, resultEl) {
+  // Read the slot from the draft.
+  const { slot } = readDraft();
+  // Remove the stored binding.
+  const r = await sendPluginJson("DELETE", `api/bindings/${encodeURIComponent(editor.displayId)}/${encodeURIComponent(editor.dashboardId)}/${encodeURIComponent(slot)}`);
+  // Report failures such as a slot that was never saved.
+  if (!r.ok) {
+    resultEl.textContent = "ERR: " + (r.data.error || r.status);
+    return;
+  }
+  // Take over the stored slots from the response.
+  editor.actions = r.data.actions || {};
+  // Show the next stored slot, or an empty play slot.
+  const next = Object.keys(editor.actions)[0] || "play";
+  renderBindingEditor(next, editor.actions[next] || { type: "none" });
+  // Refresh the dashboard summaries.
+  await refreshKipData();
+}
+
 // Load key layout and last-key data from the plugin API.
 async function refreshKeysLayout() {
   // Request the plugin keys payload.
@@ -304,6 +923,8 @@ async function refreshKeysLayout() {
   ensureKeysState();
   // Update the last-key UI from the payload.
   updateLastKeyUi();
+  // Update the remote mode from the payload.
+  updateModeUi();
   // Render the keypad layout.
   renderKeypad();
 }
@@ -318,6 +939,9 @@ async function refreshKipData() {
     return;
   }
 
+  // Load the last binding results alongside the KIP data.
+  await refreshResults();
+
   // Normalize the KIP display list response.
   const displayList = normalizeDisplayList(d.data);
   // Build the detailed display data for dashboards and screen indices.
@@ -447,6 +1071,84 @@ function handleDeltaValue(path, value) {
     return;
   }
 
+  // Update the last gesture fields.
+  if (path === "self.qxs001.lastGesture" || path === "self.qxs001.lastGestureKey" || path === "self.qxs001.lastGestureAt") {
+    // Store the value under the matching key of the last-key container.
+    keys.last[path.slice("self.qxs001.".length)] = value;
+    // Refresh the last-key UI text.
+    updateLastKeyUi();
+    return;
+  }
+
+  // Update the remote mode and autopilot target.
+  if (path === "self.qxs001.mode" || path.startsWith("self.qxs001.autopilot.")) {
+    // Ensure the autopilot container exists.
+    if (!keys.autopilot) keys.autopilot = {};
+    // Store the value under its field name.
+    keys.autopilot[path === "self.qxs001.mode" ? "mode" : path.slice("self.qxs001.autopilot.".length)] = value;
+    // Refresh the mode UI text.
+    updateModeUi();
+    return;
+  }
+
+  // Reload key labels when the active layer changes.
+  if (path === "self.qxs001.layer") {
+    // Ignore unchanged layer updates.
+    if (value === keys.layer) return;
+    // Store the new layer name.
+    keys.layer = value;
+    // Refresh the mode UI text.
+    updateModeUi();
+    // Fetch the labels of the new layer.
+    schedulePluginRefresh();
+    return;
+  }
+
+  // Record a binding result and show it under its dashboard.
+  if (path === "self.qxs001.lastResult") {
+    // Ignore results without a location.
+    if (!value || !value.displayId) return;
+    // Store the result under its display, dashboard and slot.
+    const byDash = (bindingResults[value.displayId] = bindingResults[value.displayId] || {});
+    (byDash[value.dashboardId] = byDash[value.dashboardId] || {})[value.slot] = value;
+    // Re-render dashboards to show the result.
+    renderDashboards();
+    return;
+  }
+
+  // Update the menu overlay.
+  if (path.startsWith("self.qxs001.menu.")) {
+    // Store the value under its field name.
+    menuState[path.slice("self.qxs001.menu.".length)] = value;
+    // Re-render the overlay.
+    renderMenu();
+    return;
+  }
+
+  // Update the selection or last key of one remote.
+  if (path.startsWith("self.qxs001.devices.")) {
+    // Split the path into the remote id and the field name.
+    const [id, field] = path.slice("self.qxs001.devices.".length).split(".");
+    // Find the remote the update belongs to.
+    const rm = pluginRemotes.find((x) => x.id === id);
+    // Reload the remotes when this one is not known yet.
+    if (!rm) return refreshDevices();
+    // Store the updated field.
+    rm[field] = value;
+    // Names follow ids, so reload them when the selection changes.
+    if (field === "selectedDisplayId" || field === "dashboardId") return refreshDevices();
+    // Re-render the remote list.
+    renderRemotes();
+    return;
+  }
+
+  // Refresh the device list when the connection states change.
+  if (path === "self.qxs001.inputDevices") {
+    // Reload states and candidates from the plugin API.
+    refreshDevices();
+    return;
+  }
+
   // Update the selected display id when it changes.
   if (path === "self.qxs001.kip.selectedDisplayId") {
     // Normalize the display id value.
@@ -577,6 +1279,10 @@ function startSignalKSubscription() {
 (async () => {
   // Load the initial keys layout and last-key values.
   await refreshKeysLayout();
+  // Load the initial input device states.
+  await refreshDevices();
+  // Load the initial menu state.
+  await refreshMenu();
   // Load the initial display and dashboard data.
   await refreshKipData();
   // Start the Signal K subscription for live updates.
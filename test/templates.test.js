@@ -0,0 +1,59 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+
+const createPlugin = require("../plugin/index.js");
+
+// A plugin with the custom layer "lights" active, served on a local port.
+async function startPlugin(t) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "qxs001-"));
+  fs.mkdirSync(path.join(dataDir, "signalk-qxs001-plugin"));
+  fs.writeFileSync(path.join(dataDir, "signalk-qxs001-plugin", "state.json"), JSON.stringify({ version: 3, bindings: {}, navigation: {}, activeLayer: "lights" }));
+
+  const server = express();
+  const listener = await new Promise((resolve) => {
+    const l = server.listen(0, "127.0.0.1", () => resolve(l));
+  });
+  const deltas = [];
+  const app = {
+    config: { settings: { port: listener.address().port } },
+    getDataDirPath: () => dataDir,
+    handleMessage: (id, delta) => deltas.push(delta),
+    setPluginStatus: () => {},
+    setPluginError: () => {},
+    debug: () => {},
+    error: () => {},
+  };
+  const plugin = createPlugin(app);
+  const router = express.Router();
+  plugin.registerWithRouter(router);
+  server.use("/plugins/signalk-qxs001-plugin", router);
+  await plugin.start({ eventDevices: [], discovery: { enabled: false }, layers: [{ name: "lights", bindings: [] }] });
+
+  t.after(() => {
+    plugin.stop();
+    listener.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+  const url = `http://127.0.0.1:${listener.address().port}/plugins/signalk-qxs001-plugin`;
+  return { url, deltas };
+}
+
+test("{{layer}} renders the name of the active custom layer", async (t) => {
+  const { url, deltas } = await startPlugin(t);
+  for (const value of ["{{layer}}", "L={{layer}}"]) {
+    const res = await fetch(`${url}/api/bindings/test`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ action: { type: "signalk", key: "test.layer", value } }),
+    });
+    assert.strictEqual(res.status, 200);
+  }
+  const written = deltas.flatMap((d) => d.updates[0].values).filter((v) => v.path === "test.layer").map((v) => v.value);
+  assert.deepStrictEqual(written, ["lights", "L=lights"]);
+});